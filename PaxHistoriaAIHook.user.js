@@ -2,7 +2,7 @@
 // @name         Pax Historia: Custom AI Backend (Multi-Provider)
 // @namespace    http://tampermonkey.net/
 // @version      15.0
-// @description  Custom AI backend for Pax Historia. Supports Google, OpenRouter, OpenAI, Groq, Ollama, LM Studio, Together, Fireworks, Mistral, Anthropic, Copilot, Generic.
+// @description  Custom AI backend for Pax Historia. Supports Google, OpenRouter, OpenAI, Groq, Ollama, LM Studio, Together, Fireworks, Mistral, Anthropic, Copilot, Generic, plus recorded fixture replay.
 // @author       You
 // @match        https://paxhistoria.co/*
 // @match        https://www.paxhistoria.co/*
@@ -21,6 +21,9 @@
 (function () {
     'use strict';
 
+    // Every [PAX AI] message in this script goes through a console that scrubs API keys
+    const console = createScrubbedConsole(window.console);
+
     // === SCHEMA CONVERSION ===
     // Game sends OpenAI-style schema: { name: "...", strict: true, schema: { ... } }
     // Google API expects raw schema with "nullable: true" instead of type arrays like ["object", "null"]
@@ -84,20 +87,319 @@
         return obj;
     }
 
+    // === SCHEMA VALIDATION ===
+    // Checks model output against the game's jsonSchema. Covers the JSON Schema subset used for
+    // structured output (type, nullable, enum, const, properties, required, additionalProperties,
+    // items, anyOf/oneOf/allOf, $ref and the usual min/max keywords).
+    // Returns a list of { path, message } violations; an empty list means the value is valid.
+    function validateAgainstSchema(value, gameSchema) {
+        var schema = gameSchema && gameSchema.schema ? gameSchema.schema : gameSchema;
+        return validateSchemaNode(value, schema, schema, "$", []);
+    }
 
+    function jsonTypeOf(value) {
+        if (value === null) return "null";
+        if (Array.isArray(value)) return "array";
+        if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+        return typeof value;
+    }
 
-    // === PROVIDER URLS (documented endpoints) ===
-    const PROVIDER_URLS = {
-        openai: "https://api.openai.com/v1",
-        groq: "https://api.groq.com/openai/v1",
-        openrouter: "https://openrouter.ai/api/v1",
-        ollama: "http://localhost:11434/v1",
-        lmstudio: "http://localhost:1234/v1",
-        together: "https://api.together.xyz/v1",
-        fireworks: "https://api.fireworks.ai/inference/v1",
-        mistral: "https://api.mistral.ai/v1",
-        anthropic: "https://api.anthropic.com/v1"
-    };
+    function matchesJsonType(value, type) {
+        var actual = jsonTypeOf(value);
+        return actual === type || (type === "number" && actual === "integer");
+    }
+
+    function jsonPathKey(path, key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? path + "." + key : path + "[" + JSON.stringify(key) + "]";
+    }
+
+    function resolveSchemaRef(rootSchema, ref) {
+        if (typeof ref !== "string" || ref.indexOf("#") !== 0) return null;
+        var node = rootSchema;
+        var parts = ref.substring(1).split("/").filter(Boolean);
+        for (var i = 0; i < parts.length && node; i++) {
+            node = node[parts[i].replace(/~1/g, "/").replace(/~0/g, "~")];
+        }
+        return node || null;
+    }
+
+    function validateSchemaNode(value, schema, rootSchema, path, errors) {
+        if (!schema || typeof schema !== "object") return errors;
+        if (schema.$ref) {
+            var resolved = resolveSchemaRef(rootSchema, schema.$ref);
+            if (!resolved) return errors;
+            return validateSchemaNode(value, resolved, rootSchema, path, errors);
+        }
+        if (value === null && schema.nullable) return errors;
+
+        ['anyOf', 'oneOf'].forEach(function (key) {
+            if (!Array.isArray(schema[key]) || schema[key].length === 0) return;
+            var best = null;
+            var matches = 0;
+            schema[key].forEach(function (branch) {
+                var branchErrors = validateSchemaNode(value, branch, rootSchema, path, []);
+                if (branchErrors.length === 0) matches++;
+                if (!best || branchErrors.length < best.length) best = branchErrors;
+            });
+            if (matches === 0) {
+                errors.push({ path: path, message: "does not match any allowed variant (" + key + ")" });
+                Array.prototype.push.apply(errors, best);
+            } else if (key === 'oneOf' && matches > 1) {
+                errors.push({ path: path, message: "matches " + matches + " variants, expected exactly one (oneOf)" });
+            }
+        });
+        if (Array.isArray(schema.allOf)) {
+            schema.allOf.forEach(function (branch) { validateSchemaNode(value, branch, rootSchema, path, errors); });
+        }
+
+        if (schema.type) {
+            var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(function (t) { return matchesJsonType(value, t); })) {
+                errors.push({ path: path, message: "expected " + types.join(" or ") + ", got " + jsonTypeOf(value) });
+                return errors;
+            }
+        }
+        if (Array.isArray(schema.enum)) {
+            var serialized = JSON.stringify(value);
+            if (!schema.enum.some(function (option) { return JSON.stringify(option) === serialized; })) {
+                errors.push({ path: path, message: "must be one of " + JSON.stringify(schema.enum) + ", got " + serialized });
+            }
+        }
+        if (schema.hasOwnProperty("const") && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+            errors.push({ path: path, message: "must equal " + JSON.stringify(schema.const) });
+        }
+
+        var actual = jsonTypeOf(value);
+        if (actual === "object") {
+            var props = schema.properties || {};
+            (schema.required || []).forEach(function (key) {
+                if (!value.hasOwnProperty(key)) errors.push({ path: jsonPathKey(path, key), message: "is required" });
+            });
+            Object.keys(value).forEach(function (key) {
+                if (props.hasOwnProperty(key)) {
+                    validateSchemaNode(value[key], props[key], rootSchema, jsonPathKey(path, key), errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: jsonPathKey(path, key), message: "is not allowed (additionalProperties: false)" });
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+                    validateSchemaNode(value[key], schema.additionalProperties, rootSchema, jsonPathKey(path, key), errors);
+                }
+            });
+        } else if (actual === "array") {
+            if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+                errors.push({ path: path, message: "must have at least " + schema.minItems + " items, got " + value.length });
+            }
+            if (typeof schema.maxItems === "number" && value.length > schema.maxItems) {
+                errors.push({ path: path, message: "must have at most " + schema.maxItems + " items, got " + value.length });
+            }
+            if (schema.items && typeof schema.items === "object") {
+                value.forEach(function (item, i) {
+                    var itemSchema = Array.isArray(schema.items) ? schema.items[i] : schema.items;
+                    validateSchemaNode(item, itemSchema, rootSchema, path + "[" + i + "]", errors);
+                });
+            }
+        } else if (actual === "string") {
+            if (typeof schema.minLength === "number" && value.length < schema.minLength) {
+                errors.push({ path: path, message: "must be at least " + schema.minLength + " characters" });
+            }
+            if (typeof schema.maxLength === "number" && value.length > schema.maxLength) {
+                errors.push({ path: path, message: "must be at most " + schema.maxLength + " characters" });
+            }
+            if (schema.pattern) {
+                try {
+                    if (!new RegExp(schema.pattern).test(value)) errors.push({ path: path, message: "must match pattern " + schema.pattern });
+                } catch (e) { /* pattern not supported by JS RegExp */ }
+            }
+        } else if (actual === "number" || actual === "integer") {
+            if (typeof schema.minimum === "number" && value < schema.minimum) errors.push({ path: path, message: "must be >= " + schema.minimum });
+            if (typeof schema.maximum === "number" && value > schema.maximum) errors.push({ path: path, message: "must be <= " + schema.maximum });
+            if (typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum) errors.push({ path: path, message: "must be > " + schema.exclusiveMinimum });
+            if (typeof schema.exclusiveMaximum === "number" && value >= schema.exclusiveMaximum) errors.push({ path: path, message: "must be < " + schema.exclusiveMaximum });
+        }
+        return errors;
+    }
+
+    // === PROVIDER REGISTRY ===
+    // Every provider is described once; the request path and the settings modal read these.
+    //   api          request/response adapter: "openai" (/chat/completions), "anthropic", "google", "fixture"
+    //   baseUrl      fixed endpoint, or baseUrlKey: settings key of a user-entered URL ("/v1" is appended)
+    //                and baseUrlInput: its modal field
+    //   auth         "bearer", "header" or "query" (authName = header/parameter name), or "none";
+    //                keyOptional sends a key only when one is set, apiKeyKey/apiKeyInput keep it in its own setting
+    //   headers      extra headers; values may use {{apiKey}}, {{model}} and {{pageUrl}}
+    //   modelKey     settings key of the model ID; modelInput is its modal field, modelPlaceholder a hint
+    //   ui           "generated" (model field built from the description) or "custom" (hand-written fields)
+    //   capabilities structuredOutput ([model pattern, mode] rows, see STRUCTURED OUTPUT),
+    //                unsupportedParams/paramFields (see GENERATION PARAMETERS), reasoning (see REASONING)
+    const BUILTIN_PROVIDERS = [
+        {
+            id: "google", label: "Google AI Studio", api: "google",
+            baseUrl: "https://generativelanguage.googleapis.com/v1beta", auth: "header", authName: "x-goog-api-key",
+            modelKey: "modelName", modelInput: "ph-model-name", ui: "generated",
+            paramFields: { temperature: "temperature", top_p: "topP", top_k: "topK", max_tokens: "maxOutputTokens", presence_penalty: "presencePenalty", frequency_penalty: "frequencyPenalty", seed: "seed", stop: "stopSequences" },
+            reasoning: "google"
+        },
+        {
+            id: "openrouter", label: "OpenRouter", api: "openai",
+            baseUrl: "https://openrouter.ai/api/v1", auth: "bearer",
+            headers: { "HTTP-Referer": "{{pageUrl}}", "X-Title": "Pax Historia Hook" },
+            modelKey: "openRouterModel", modelInput: "ph-or-model-name", modelPlaceholder: "provider/model", shortModelLabel: true, ui: "generated",
+            structuredOutput: [["*", "json_schema"]], reasoning: "openrouter"
+        },
+        {
+            id: "openai", label: "OpenAI", api: "openai",
+            baseUrl: "https://api.openai.com/v1", auth: "bearer",
+            modelKey: "openaiModel", modelInput: "ph-openai-model", modelPlaceholder: "gpt-4o-mini", ui: "generated",
+            structuredOutput: [["*", "json_schema"]], unsupportedParams: ["top_k"], paramFields: { max_tokens: "max_completion_tokens" }, reasoning: "effort"
+        },
+        {
+            id: "groq", label: "Groq", api: "openai",
+            baseUrl: "https://api.groq.com/openai/v1", auth: "bearer",
+            modelKey: "groqModel", modelInput: "ph-groq-model", modelPlaceholder: "llama-3.3-70b-versatile", ui: "generated",
+            structuredOutput: [["openai/gpt-oss-*", "json_schema"], ["meta-llama/llama-4-*", "json_schema"], ["moonshotai/kimi-k2*", "json_schema"], ["*", "tool"]],
+            unsupportedParams: ["top_k"], reasoning: "effort"
+        },
+        {
+            id: "ollama", label: "Ollama (local)", api: "openai",
+            baseUrlKey: "ollamaBaseUrl", baseUrlInput: "ph-ollama-base-url", auth: "none",
+            modelKey: "ollamaModel", modelInput: "ph-ollama-model", ui: "custom",
+            structuredOutput: [["*", "json_schema"]], unsupportedParams: ["top_k"], reasoning: "ollama",
+            // Native /api/chat (ollamaNativeApi) takes what the compatibility layer drops
+            nativeApi: { unsupportedParams: [], paramFields: { max_tokens: "num_predict" } }
+        },
+        {
+            id: "lmstudio", label: "LM Studio (local)", api: "openai",
+            baseUrlKey: "lmStudioBaseUrl", baseUrlInput: "ph-lmstudio-base-url", auth: "none",
+            modelKey: "lmStudioModel", modelInput: "ph-lmstudio-model", ui: "custom",
+            structuredOutput: [["*", "json_schema"]]
+        },
+        {
+            id: "together", label: "Together AI", api: "openai",
+            baseUrl: "https://api.together.xyz/v1", auth: "bearer",
+            modelKey: "togetherModel", modelInput: "ph-together-model", modelPlaceholder: "meta-llama/Llama-3.3-70B-Instruct-Turbo", shortModelLabel: true, ui: "generated",
+            structuredOutput: [["*", "json_object"]]
+        },
+        {
+            id: "fireworks", label: "Fireworks AI", api: "openai",
+            baseUrl: "https://api.fireworks.ai/inference/v1", auth: "bearer",
+            modelKey: "fireworksModel", modelInput: "ph-fireworks-model", modelPlaceholder: "accounts/fireworks/models/llama-v3p1-8b-instruct", shortModelLabel: true, ui: "generated",
+            structuredOutput: [["*", "json_object"]]
+        },
+        {
+            id: "mistral", label: "Mistral AI", api: "openai",
+            baseUrl: "https://api.mistral.ai/v1", auth: "bearer",
+            modelKey: "mistralModel", modelInput: "ph-mistral-model", modelPlaceholder: "mistral-small-latest", ui: "generated",
+            structuredOutput: [["*", "json_schema"]], unsupportedParams: ["top_k"], paramFields: { seed: "random_seed" }
+        },
+        {
+            id: "anthropic", label: "Anthropic (Claude)", api: "anthropic",
+            baseUrl: "https://api.anthropic.com/v1", auth: "header", authName: "x-api-key",
+            headers: { "anthropic-version": "2023-06-01" },
+            modelKey: "anthropicModel", modelInput: "ph-anthropic-model", modelPlaceholder: "claude-sonnet-4-20250514", ui: "generated",
+            unsupportedParams: ["presence_penalty", "frequency_penalty", "seed"], paramFields: { stop: "stop_sequences" }, reasoning: "anthropic"
+        },
+        {
+            id: "copilot", label: "Copilot API (local)", api: "openai",
+            baseUrlKey: "copilotBaseUrl", baseUrlInput: "ph-copilot-base-url", auth: "none",
+            modelKey: "copilotModel", modelInput: "ph-copilot-model", ui: "custom",
+            structuredOutput: [["*", "json_schema"]], unsupportedParams: ["top_k", "seed"]
+        },
+        {
+            id: "generic", label: "Generic (URL)", api: "openai",
+            baseUrlKey: "genericBaseUrl", baseUrlInput: "ph-generic-base-url", auth: "bearer", keyOptional: true,
+            apiKeyKey: "genericApiKey", apiKeyInput: "ph-generic-api-key",
+            modelKey: "genericModel", modelInput: "ph-generic-model", ui: "custom",
+            structuredOutput: [["*", "json_schema"]],
+            modelLabel: function (settings) {
+                return settings.genericModel || (settings.genericBaseUrl || "").replace(/\/$/, "").split("/").pop() || "?";
+            }
+        },
+        {
+            id: "fixture", label: "Fixtures (replay recorded)", api: "fixture", auth: "none",
+            modelKey: "fixtureSet", ui: "custom",
+            modelLabel: function (settings) {
+                return "set " + (settings.fixtureSet || DEFAULTS.fixtureSet);
+            }
+        }
+    ];
+    const CUSTOM_PROVIDER_AUTH = ["bearer", "header", "query", "none"];
+    var customProviderDefs = []; // descriptions built from settings.customProviders
+
+    // User-defined providers speak the OpenAI-compatible API. Stored as
+    // { id, label, baseUrl, model, auth, authName, headers: { name: template } }; the model
+    // picked in a profile lives in customModels[id], the description's model is the default.
+    function describeCustomProvider(custom) {
+        return {
+            id: custom.id, label: custom.label || custom.id, api: "openai", custom: true,
+            baseUrl: buildBaseUrl(custom.baseUrl), auth: custom.auth, authName: custom.authName,
+            headers: custom.headers || {}, defaultModel: custom.model || "", modelInput: "ph-custom-model", ui: "custom-provider",
+            structuredOutput: [["*", "json_schema"]], reasoning: "effort"
+        };
+    }
+
+    function isValidCustomProvider(custom) {
+        return !!(custom && typeof custom === "object" && /^[a-z0-9][a-z0-9_-]*$/.test(custom.id || "") &&
+            !BUILTIN_PROVIDERS.some(function (def) { return def.id === custom.id; }) &&
+            /^https?:\/\//i.test(custom.baseUrl || "") && CUSTOM_PROVIDER_AUTH.indexOf(custom.auth) !== -1 &&
+            (custom.auth === "bearer" || custom.auth === "none" || !!custom.authName));
+    }
+
+    // Valid entries only, and only the first of several with the same ID
+    function getUsableCustomProviders(list) {
+        var seen = {};
+        return (Array.isArray(list) ? list : []).filter(function (custom) {
+            if (!isValidCustomProvider(custom) || seen[custom.id]) return false;
+            return (seen[custom.id] = true);
+        });
+    }
+
+    function setCustomProviders(list) {
+        customProviderDefs = getUsableCustomProviders(list).map(describeCustomProvider);
+    }
+
+    function getProviderDefs() {
+        return BUILTIN_PROVIDERS.concat(customProviderDefs);
+    }
+
+    function getProviderDef(id) {
+        return getProviderDefs().find(function (def) { return def.id === id; }) || null;
+    }
+
+    function isKnownProvider(id) {
+        return !!getProviderDef(id);
+    }
+
+    // The API key field of the modal applies to this provider
+    function usesKeyField(id) {
+        var def = getProviderDef(id);
+        return !!def && def.auth !== "none" && !def.apiKeyKey;
+    }
+
+    function requiresApiKey(id) {
+        var def = getProviderDef(id);
+        return !!def && def.auth !== "none" && !def.keyOptional;
+    }
+
+    // Base URL, model and request headers for a call to the provider of `settings`.
+    // Query auth is returned separately so callers can put it after their path.
+    function getProviderTarget(settings) {
+        var def = getProviderDef(settings.provider);
+        if (!def) throw new Error("Unknown provider: " + settings.provider);
+        var baseUrl = def.baseUrlKey ? getApiBase(settings[def.baseUrlKey] || DEFAULTS[def.baseUrlKey]) : def.baseUrl;
+        var modelId = getModelId(settings) || DEFAULTS[def.modelKey] || "";
+        var apiKey = (settings.apiKey || "").trim();
+        var headers = {};
+        var vars = { apiKey: apiKey, model: modelId, pageUrl: window.location.href };
+        Object.keys(def.headers || {}).forEach(function (name) {
+            headers[name] = String(def.headers[name]).replace(/\{\{(\w+)\}\}/g, function (match, name) {
+                return vars.hasOwnProperty(name) ? vars[name] : match;
+            });
+        });
+        var query = "";
+        if (apiKey && def.auth === "bearer") headers["Authorization"] = "Bearer " + apiKey;
+        else if (apiKey && def.auth === "header") headers[def.authName] = apiKey;
+        else if (apiKey && def.auth === "query") query = "?" + encodeURIComponent(def.authName) + "=" + encodeURIComponent(apiKey);
+        return { baseUrl: baseUrl, modelId: modelId, headers: headers, query: query };
+    }
 
     // === DEFAULT SETTINGS ===
     const DEFAULTS = {
@@ -109,6 +411,10 @@
         groqModel: "llama-3.1-70b-versatile",
         ollamaBaseUrl: "http://localhost:11434",
         ollamaModel: "llama3.2",
+        ollamaNativeApi: false,
+        ollamaNumCtx: 0,
+        ollamaKeepAlive: "",
+        ollamaOptions: {},
         lmStudioBaseUrl: "http://localhost:1234",
         lmStudioModel: "local-model",
         togetherModel: "meta-llama/Llama-3.3-70B-Instruct-Turbo",
@@ -120,211 +426,2445 @@
         genericBaseUrl: "https://api.openai.com/v1",
         genericModel: "gpt-4o-mini",
         genericApiKey: "",
-        thinkingBudget: 4096
+        fixtureSet: "default",
+        fixtureMatch: "fuzzy",
+        fixtureMinSimilarity: 0.8,
+        recordFixtures: false,
+        thinkingBudget: 4096,
+        reasoning: "default",
+        structuredOutputModes: {},
+        apiKeys: {},
+        fallbackChain: [],
+        fallbackToGame: false,
+        strictPrivacy: false,
+        routingRules: [],
+        promptTemplates: [],
+        generationParams: { google: { temperature: 0.7 } },
+        contextLengths: {},
+        outputReserveTokens: 4096,
+        contextOverflow: "warn",
+        contextRerouteEntry: "",
+        repairAttempts: 1,
+        connectTimeoutSec: 30,
+        totalTimeoutSec: 300,
+        providerTimeouts: {},
+        retryCount: 2,
+        retryMaxWaitSec: 60,
+        rateLimits: {},
+        priceTable: {},
+        dailyCapUsd: 0,
+        monthlyCapUsd: 0,
+        capAction: "block",
+        capRerouteEntry: "ollama",
+        cacheEnabled: false,
+        cacheStages: "*",
+        cacheSkipChat: true,
+        cacheMaxEntries: 500,
+        cacheMaxAgeHours: 168,
+        compareEnabled: false,
+        comparePrimary: "",
+        compareCandidate: "",
+        compareChoice: "manual",
+        customProviders: [],
+        customModels: {}
     };
 
     // === SETTINGS MANAGEMENT ===
+    // Settings live in named profiles: GM "profiles" = { name: { ...settings } } and GM "activeProfile".
+    // API keys, prices, spending caps, custom providers and strict privacy are shared by all profiles and stay in their own GM keys.
+    const PROFILE_SHARED_KEYS = ["apiKey", "apiKeys", "genericApiKey", "priceTable", "dailyCapUsd", "monthlyCapUsd", "capAction", "capRerouteEntry", "customProviders", "strictPrivacy"];
+    const SECRET_SETTING_KEYS = ["apiKey", "apiKeys", "genericApiKey"];
+    const DEFAULT_PROFILE_NAME = "Default";
+
+    function cloneValue(value) {
+        return value && typeof value === "object" ? JSON.parse(JSON.stringify(value)) : value;
+    }
+
+    function isProfileKey(key) {
+        return PROFILE_SHARED_KEYS.indexOf(key) === -1;
+    }
+
+    function defaultProfile() {
+        var profile = {};
+        Object.keys(DEFAULTS).forEach(function (key) {
+            if (isProfileKey(key)) profile[key] = cloneValue(DEFAULTS[key]);
+        });
+        return profile;
+    }
+
+    // Older versions stored one flat configuration; it becomes the "Default" profile
+    function loadProfiles() {
+        var profiles = GM_getValue("profiles", null);
+        if (profiles && typeof profiles === "object" && Object.keys(profiles).length) return profiles;
+        var legacy = {};
+        Object.keys(DEFAULTS).forEach(function (key) {
+            if (isProfileKey(key)) legacy[key] = GM_getValue(key, cloneValue(DEFAULTS[key]));
+        });
+        profiles = {};
+        profiles[DEFAULT_PROFILE_NAME] = legacy;
+        GM_setValue("profiles", profiles);
+        GM_setValue("activeProfile", DEFAULT_PROFILE_NAME);
+        return profiles;
+    }
+
+    function getActiveProfileName(profiles) {
+        profiles = profiles || loadProfiles();
+        var name = GM_getValue("activeProfile", DEFAULT_PROFILE_NAME);
+        return profiles.hasOwnProperty(name) ? name : Object.keys(profiles)[0];
+    }
+
     function loadSettings() {
-        return {
-            provider: GM_getValue("provider", DEFAULTS.provider),
-            apiKey: GM_getValue("apiKey", DEFAULTS.apiKey),
-            modelName: GM_getValue("modelName", DEFAULTS.modelName),
-            openRouterModel: GM_getValue("openRouterModel", DEFAULTS.openRouterModel),
-            openaiModel: GM_getValue("openaiModel", DEFAULTS.openaiModel),
-            groqModel: GM_getValue("groqModel", DEFAULTS.groqModel),
-            ollamaBaseUrl: GM_getValue("ollamaBaseUrl", DEFAULTS.ollamaBaseUrl),
-            ollamaModel: GM_getValue("ollamaModel", DEFAULTS.ollamaModel),
-            lmStudioBaseUrl: GM_getValue("lmStudioBaseUrl", DEFAULTS.lmStudioBaseUrl),
-            lmStudioModel: GM_getValue("lmStudioModel", DEFAULTS.lmStudioModel),
-            togetherModel: GM_getValue("togetherModel", DEFAULTS.togetherModel),
-            fireworksModel: GM_getValue("fireworksModel", DEFAULTS.fireworksModel),
-            mistralModel: GM_getValue("mistralModel", DEFAULTS.mistralModel),
-            anthropicModel: GM_getValue("anthropicModel", DEFAULTS.anthropicModel),
-            copilotBaseUrl: GM_getValue("copilotBaseUrl", DEFAULTS.copilotBaseUrl),
-            copilotModel: GM_getValue("copilotModel", DEFAULTS.copilotModel),
-            genericBaseUrl: GM_getValue("genericBaseUrl", DEFAULTS.genericBaseUrl),
-            genericModel: GM_getValue("genericModel", DEFAULTS.genericModel),
-            genericApiKey: GM_getValue("genericApiKey", DEFAULTS.genericApiKey),
-            thinkingBudget: GM_getValue("thinkingBudget", DEFAULTS.thinkingBudget)
-        };
+        var profiles = loadProfiles();
+        var name = getActiveProfileName(profiles);
+        var profile = profiles[name];
+        var settings = { profileName: name };
+        Object.keys(DEFAULTS).forEach(function (key) {
+            if (!isProfileKey(key)) {
+                settings[key] = GM_getValue(key, cloneValue(DEFAULTS[key]));
+            } else {
+                settings[key] = profile.hasOwnProperty(key) ? profile[key] : cloneValue(DEFAULTS[key]);
+            }
+        });
+        setCustomProviders(settings.customProviders);
+        return Object.assign(settings, readSecrets());
     }
 
+    // Writes into settings.profileName (the active profile when missing) and makes it active
     function saveSettings(settings) {
-        GM_setValue("provider", settings.provider);
-        GM_setValue("apiKey", settings.apiKey);
-        GM_setValue("modelName", settings.modelName);
-        GM_setValue("openRouterModel", settings.openRouterModel);
-        GM_setValue("openaiModel", settings.openaiModel);
-        GM_setValue("groqModel", settings.groqModel);
-        GM_setValue("ollamaBaseUrl", settings.ollamaBaseUrl);
-        GM_setValue("ollamaModel", settings.ollamaModel);
-        GM_setValue("lmStudioBaseUrl", settings.lmStudioBaseUrl);
-        GM_setValue("lmStudioModel", settings.lmStudioModel);
-        GM_setValue("togetherModel", settings.togetherModel);
-        GM_setValue("fireworksModel", settings.fireworksModel);
-        GM_setValue("mistralModel", settings.mistralModel);
-        GM_setValue("anthropicModel", settings.anthropicModel);
-        GM_setValue("copilotBaseUrl", settings.copilotBaseUrl);
-        GM_setValue("copilotModel", settings.copilotModel);
-        GM_setValue("genericBaseUrl", settings.genericBaseUrl);
-        GM_setValue("genericModel", settings.genericModel);
-        GM_setValue("genericApiKey", settings.genericApiKey);
-        GM_setValue("thinkingBudget", settings.thinkingBudget);
-    }
-
-    const MAX_RETRIES = 3;
-    const RETRY_DELAY_MS = 1000;
+        var profiles = loadProfiles();
+        var name = settings.profileName || getActiveProfileName(profiles);
+        var profile = {};
+        Object.keys(DEFAULTS).forEach(function (key) {
+            if (isProfileKey(key)) {
+                profile[key] = settings.hasOwnProperty(key) ? settings[key] : cloneValue(DEFAULTS[key]);
+            } else if (SECRET_SETTING_KEYS.indexOf(key) === -1) {
+                GM_setValue(key, settings[key]);
+            }
+        });
+        profiles[name] = profile;
+        GM_setValue("profiles", profiles);
+        GM_setValue("activeProfile", name);
+        // While the vault is locked the modal cannot show the keys, so there is nothing to save
+        if (!isVaultLocked()) {
+            writeSecrets(settings).catch(function (e) {
+                console.error("[PAX AI] Could not save API keys:", e.message || e);
+            });
+        }
+    }
+
+    // === SECRET STORAGE ===
+    // API keys are plaintext GM values by default. With a passphrase they are kept in one
+    // AES-GCM encrypted GM "secretVault" instead, and only held in memory once unlocked.
+    const SECRET_VAULT_KEY = "secretVault";
+    const VAULT_KDF_ITERATIONS = 310000;
+    var vaultSession = null; // { key, salt, secrets } while unlocked
+    var vaultUnlockPrompt = null;
+
+    function isVaultEnabled() {
+        return !!GM_getValue(SECRET_VAULT_KEY, null);
+    }
+
+    function isVaultLocked() {
+        return isVaultEnabled() && !vaultSession;
+    }
 
-    function isRetryableError(errorOrStatus) {
-        if (typeof errorOrStatus === "number") {
-            return errorOrStatus === 429 || (errorOrStatus >= 500 && errorOrStatus < 600);
+    function pickSecrets(values) {
+        var secrets = {};
+        SECRET_SETTING_KEYS.forEach(function (key) {
+            secrets[key] = values && values[key] !== undefined ? cloneValue(values[key]) : cloneValue(DEFAULTS[key]);
+        });
+        return secrets;
+    }
+
+    // Empty keys while the vault is locked
+    function readSecrets() {
+        if (!isVaultEnabled()) {
+            var plain = {};
+            SECRET_SETTING_KEYS.forEach(function (key) { plain[key] = GM_getValue(key, cloneValue(DEFAULTS[key])); });
+            return plain;
         }
-        if (errorOrStatus instanceof Error) {
-            var msg = (errorOrStatus.message || "").toLowerCase();
-            return msg.includes("network") || msg.includes("timeout") || msg.includes("fetch");
+        return pickSecrets(vaultSession ? vaultSession.secrets : null);
+    }
+
+    function writeSecrets(values) {
+        var secrets = pickSecrets(values);
+        if (!isVaultEnabled()) {
+            SECRET_SETTING_KEYS.forEach(function (key) { GM_setValue(key, secrets[key]); });
+            return Promise.resolve();
         }
-        return false;
+        if (!vaultSession) return Promise.reject(new Error("API keys are locked"));
+        vaultSession.secrets = secrets;
+        return sealVault(vaultSession.key, vaultSession.salt, secrets).then(function (vault) {
+            GM_setValue(SECRET_VAULT_KEY, vault);
+        });
     }
 
-    function delay(ms) {
-        return new Promise(function (resolve) { setTimeout(resolve, ms); });
+    function bytesToBase64(bytes) {
+        var binary = "";
+        for (var i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return btoa(binary);
     }
 
-    async function withRetry(asyncFn) {
-        var lastError;
-        for (var attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-            try {
-                return await asyncFn();
-            } catch (e) {
-                lastError = e;
-                var status = e.status || (e.response && e.response.status);
-                if (attempt < MAX_RETRIES && (isRetryableError(e) || isRetryableError(status))) {
-                    var backoff = RETRY_DELAY_MS * Math.pow(2, attempt - 1);
-                    console.warn("[PAX AI] Retry " + attempt + "/" + MAX_RETRIES + " in " + backoff + "ms:", e.message || e);
-                    await delay(backoff);
-                } else {
-                    throw e;
-                }
-            }
+    function base64ToBytes(text) {
+        var binary = atob(text);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    async function deriveVaultKey(passphrase, salt, iterations) {
+        var material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+        return crypto.subtle.deriveKey(
+            { name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256" },
+            material, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+    }
+
+    async function sealVault(key, salt, secrets) {
+        var iv = crypto.getRandomValues(new Uint8Array(12));
+        var data = await crypto.subtle.encrypt({ name: "AES-GCM", iv: iv }, key, new TextEncoder().encode(JSON.stringify(secrets)));
+        return {
+            version: 1,
+            iterations: VAULT_KDF_ITERATIONS,
+            salt: bytesToBase64(salt),
+            iv: bytesToBase64(iv),
+            data: bytesToBase64(new Uint8Array(data))
+        };
+    }
+
+    async function unlockVault(passphrase) {
+        var vault = GM_getValue(SECRET_VAULT_KEY, null);
+        if (!vault) throw new Error("API keys are not encrypted");
+        var salt = base64ToBytes(vault.salt);
+        var key = await deriveVaultKey(passphrase, salt, vault.iterations || VAULT_KDF_ITERATIONS);
+        var plain;
+        try {
+            plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: base64ToBytes(vault.iv) }, key, base64ToBytes(vault.data));
+        } catch (e) {
+            throw new Error("Wrong passphrase");
         }
-        throw lastError;
+        vaultSession = { key: key, salt: salt, secrets: pickSecrets(JSON.parse(new TextDecoder().decode(plain))) };
+        console.log("%c[PAX AI] API keys unlocked for this session.", "color: lime");
+        createOrUpdateIndicator();
     }
 
-    // === CORS-FREE HTTP CLIENT (for external/local APIs) ===
-    function fetchApi(url, options) {
-        return new Promise(function (resolve, reject) {
-            const method = options?.method || "GET";
-            const body = options?.body ? JSON.stringify(options.body) : undefined;
-            const headers = options?.headers || {};
-            if (body && !headers["Content-Type"]) headers["Content-Type"] = "application/json";
+    function lockVault() {
+        vaultSession = null;
+        console.log("%c[PAX AI] API keys locked.", "color: cyan");
+        createOrUpdateIndicator();
+    }
 
-            GM_xmlhttpRequest({
-                method: method,
-                url: url,
-                headers: headers,
-                data: body,
-                onload: function (response) {
-                    try {
-                        const parsed = response.responseText ? JSON.parse(response.responseText) : {};
-                        resolve({
-                            ok: response.status >= 200 && response.status < 300,
-                            status: response.status,
-                            data: parsed,
-                            text: response.responseText
-                        });
-                    } catch (e) {
-                        resolve({
-                            ok: false,
-                            status: response.status,
-                            data: null,
-                            text: response.responseText
-                        });
-                    }
-                },
-                onerror: function () {
-                    reject(new Error("Network error: " + url));
-                }
+    // Encrypts the current keys (or re-encrypts them with a new passphrase) and drops the plaintext copies
+    async function setVaultPassphrase(passphrase) {
+        if (!passphrase) throw new Error("Passphrase cannot be empty");
+        if (isVaultLocked()) throw new Error("Unlock the API keys first");
+        var secrets = readSecrets();
+        var salt = crypto.getRandomValues(new Uint8Array(16));
+        var key = await deriveVaultKey(passphrase, salt, VAULT_KDF_ITERATIONS);
+        GM_setValue(SECRET_VAULT_KEY, await sealVault(key, salt, secrets));
+        SECRET_SETTING_KEYS.forEach(function (k) { GM_setValue(k, cloneValue(DEFAULTS[k])); });
+        vaultSession = { key: key, salt: salt, secrets: secrets };
+        console.log("%c[PAX AI] API keys are now stored encrypted.", "color: lime");
+        createOrUpdateIndicator();
+    }
+
+    function removeVault() {
+        if (isVaultLocked()) throw new Error("Unlock the API keys first");
+        var secrets = readSecrets();
+        GM_setValue(SECRET_VAULT_KEY, null);
+        vaultSession = null;
+        writeSecrets(secrets);
+        console.log("%c[PAX AI] API key encryption removed.", "color: cyan");
+        createOrUpdateIndicator();
+    }
+
+    // Asks for the passphrase once; concurrent requests share the same dialog.
+    // Resolves to true when unlocked, false when the user cancelled.
+    function ensureVaultUnlocked() {
+        if (!isVaultLocked()) return Promise.resolve(true);
+        if (!vaultUnlockPrompt) {
+            vaultUnlockPrompt = askPassphrase("Unlock API keys", "Enter the passphrase protecting your API keys.", false, unlockVault).then(function (passphrase) {
+                vaultUnlockPrompt = null;
+                return passphrase !== null;
             });
-        });
+        }
+        return vaultUnlockPrompt;
     }
 
-    function getModelLabel(settings) {
-        switch (settings.provider) {
-            case "google": return settings.modelName;
-            case "openrouter": return (settings.openRouterModel || "").split("/").pop() || "?";
-            case "copilot": return settings.copilotModel;
-            case "openai": return settings.openaiModel;
-            case "groq": return settings.groqModel;
-            case "ollama": return settings.ollamaModel;
-            case "lmstudio": return settings.lmStudioModel;
-            case "together": return (settings.togetherModel || "").split("/").pop() || "?";
-            case "fireworks": return (settings.fireworksModel || "").split("/").pop() || "?";
-            case "mistral": return settings.mistralModel;
-            case "anthropic": return settings.anthropicModel;
-            case "generic": return settings.genericModel || (settings.genericBaseUrl || "").replace(/\/$/, "").split("/").pop() || "?";
-            default: return "?";
+    // === SECRET SCRUBBING ===
+    // Logs and error strings must never carry a usable key: known key values are
+    // replaced first, then anything shaped like a key.
+    const SCRUBBED_SECRET = "***";
+    const SECRET_PATTERNS = [
+        /([?&](?:key|api_key|apikey|access_token)=)[^&\s"']+/gi,
+        /(Bearer\s+)[^\s"',]+/gi,
+        /(x-(?:goog-)?api-key["']?\s*[:=]\s*["']?)[^\s"',]+/gi,
+        /()\b(?:sk-[A-Za-z0-9_-]{8,}|gsk_[A-Za-z0-9]{8,}|AIza[0-9A-Za-z_-]{20,})/g
+    ];
+
+    function knownSecretValues() {
+        var secrets = readSecrets();
+        var values = splitApiKeys(secrets.apiKey).concat(splitApiKeys(secrets.genericApiKey));
+        Object.keys(secrets.apiKeys || {}).forEach(function (provider) { values = values.concat(splitApiKeys(secrets.apiKeys[provider])); });
+        return values.filter(function (value) { return typeof value === "string" && value.trim().length >= 6; })
+            .map(function (value) { return value.trim(); });
+    }
+
+    function scrubSecrets(text) {
+        if (typeof text !== "string" || !text) return text;
+        knownSecretValues().forEach(function (value) { text = text.split(value).join(SCRUBBED_SECRET); });
+        SECRET_PATTERNS.forEach(function (pattern) { text = text.replace(pattern, "$1" + SCRUBBED_SECRET); });
+        return text;
+    }
+
+    function scrubError(e) {
+        if (e && typeof e.message === "string") {
+            e.message = scrubSecrets(e.message);
+            if (typeof e.stack === "string") e.stack = scrubSecrets(e.stack);
         }
+        return e;
     }
 
-    function isInFooter(el) {
-        if (!el || !el.closest) return false;
-        return !!el.closest("footer, [class*='footer'], [class*='Footer']");
+    function createScrubbedConsole(target) {
+        var scrubbed = Object.create(target);
+        ["log", "info", "warn", "error", "debug"].forEach(function (method) {
+            scrubbed[method] = function () {
+                var args = Array.prototype.map.call(arguments, function (arg) {
+                    return arg instanceof Error ? scrubError(arg) : scrubSecrets(arg);
+                });
+                return target[method].apply(target, args);
+            };
+        });
+        return scrubbed;
     }
 
-    function findPaxHistoriaLogo() {
-        var header = document.querySelector("header");
-        if (header && !isInFooter(header)) {
-            var logoLink = header.querySelector('a[href="/games"], a[href^="/games"]');
-            if (logoLink && (logoLink.textContent || "").indexOf("Pax Historia") !== -1) return logoLink;
+    // === PROFILES ===
+    function switchProfile(name) {
+        var profiles = loadProfiles();
+        if (!profiles.hasOwnProperty(name)) throw new Error("Unknown profile: " + name);
+        GM_setValue("activeProfile", name);
+        console.log("%c[PAX AI] Switched to profile \"" + name + "\"", "color: cyan");
+        createOrUpdateIndicator();
+    }
+
+    function validateProfileName(name, profiles) {
+        name = (name || "").trim();
+        if (!name) throw new Error("Profile name cannot be empty");
+        if (profiles.hasOwnProperty(name)) throw new Error("A profile named \"" + name + "\" already exists");
+        return name;
+    }
+
+    // Creates a profile from `sourceName` (or the defaults) and makes it active
+    function createProfile(name, sourceName) {
+        var profiles = loadProfiles();
+        name = validateProfileName(name, profiles);
+        profiles[name] = sourceName ? cloneValue(profiles[sourceName]) : defaultProfile();
+        GM_setValue("profiles", profiles);
+        switchProfile(name);
+        return name;
+    }
+
+    function renameProfile(oldName, newName) {
+        var profiles = loadProfiles();
+        newName = validateProfileName(newName, profiles);
+        var renamed = {};
+        Object.keys(profiles).forEach(function (name) {
+            renamed[name === oldName ? newName : name] = profiles[name];
+        });
+        GM_setValue("profiles", renamed);
+        if (getActiveProfileName(profiles) === oldName) GM_setValue("activeProfile", newName);
+        createOrUpdateIndicator();
+        return newName;
+    }
+
+    function deleteProfile(name) {
+        var profiles = loadProfiles();
+        if (Object.keys(profiles).length <= 1) throw new Error("The last profile cannot be deleted");
+        var wasActive = getActiveProfileName(profiles) === name;
+        delete profiles[name];
+        GM_setValue("profiles", profiles);
+        if (wasActive) GM_setValue("activeProfile", Object.keys(profiles)[0]);
+        createOrUpdateIndicator();
+    }
+
+    // === SETTINGS IMPORT / EXPORT ===
+    // Versioned JSON document with every profile plus the shared settings.
+    // Version history: 2 = profiles (this version); flat GM values from 15.x and earlier are migrated.
+    const SETTINGS_EXPORT_FORMAT = "pax-ai-hook-settings";
+    const SETTINGS_EXPORT_VERSION = 2;
+    const REDACTED_SECRET = "<redacted>";
+
+    function getScriptVersion() {
+        return typeof GM_info !== "undefined" && GM_info.script ? GM_info.script.version : "";
+    }
+
+    function loadSharedSettings() {
+        var shared = {};
+        PROFILE_SHARED_KEYS.forEach(function (key) {
+            if (SECRET_SETTING_KEYS.indexOf(key) === -1) shared[key] = GM_getValue(key, cloneValue(DEFAULTS[key]));
+        });
+        return Object.assign(shared, readSecrets());
+    }
+
+    function redactSecrets(shared) {
+        if (shared.apiKey) shared.apiKey = REDACTED_SECRET;
+        if (shared.genericApiKey) shared.genericApiKey = REDACTED_SECRET;
+        Object.keys(shared.apiKeys || {}).forEach(function (provider) {
+            if (shared.apiKeys[provider]) shared.apiKeys[provider] = REDACTED_SECRET;
+        });
+        return shared;
+    }
+
+    function buildSettingsExport(includeSecrets) {
+        var profiles = loadProfiles();
+        var shared = loadSharedSettings();
+        return {
+            format: SETTINGS_EXPORT_FORMAT,
+            version: SETTINGS_EXPORT_VERSION,
+            scriptVersion: getScriptVersion(),
+            exportedAt: new Date().toISOString(),
+            secretsIncluded: !!includeSecrets,
+            activeProfile: getActiveProfileName(profiles),
+            profiles: cloneValue(profiles),
+            shared: includeSecrets ? shared : redactSecrets(shared)
+        };
+    }
+
+    function exportSettings(includeSecrets) {
+        if (includeSecrets && isVaultLocked()) throw new Error("Unlock the API keys before exporting them");
+        var doc = buildSettingsExport(includeSecrets);
+        var stamp = doc.exportedAt.substring(0, 10);
+        downloadFile("pax-ai-settings-" + stamp + (includeSecrets ? "-with-keys" : "") + ".json", JSON.stringify(doc, null, 2), "application/json");
+    }
+
+    function settingTypeOf(value) {
+        if (Array.isArray(value)) return "array";
+        return value === null ? "null" : typeof value;
+    }
+
+    function isImportText(value) {
+        return typeof value === "string" && !/[\r\n]/.test(value);
+    }
+
+    function isImportCount(value) {
+        return typeof value === "number" && isFinite(value) && value >= 0;
+    }
+
+    // Entries of list/map settings must look like what the settings modal writes; others are dropped.
+    // `isProvider` accepts known providers and those the document defines.
+    function sanitizeStructuredSetting(key, value, where, warnings, isProvider) {
+        function drop(name, reason) {
+            warnings.push(where + "." + key + "[" + name + "]: " + reason + ", ignored");
+            return false;
         }
-        var mainNav = document.querySelector("nav");
-        if (mainNav && !isInFooter(mainNav)) {
-            var link = mainNav.querySelector('a[href="/games"], a[href^="/games"]');
-            if (link && (link.textContent || "").indexOf("Pax Historia") !== -1) return link;
+        function validEntry(entry, name) {
+            if (!entry || typeof entry !== "object" || !isImportText(entry.provider) || !isImportText(entry.model || "")) return drop(name, "invalid entry");
+            return isProvider(entry.provider) || drop(name, "unknown provider \"" + entry.provider + "\"");
         }
-        var containers = document.querySelectorAll("header, nav");
-        for (var c = 0; c < containers.length; c++) {
-            var cont = containers[c];
-            if (isInFooter(cont)) continue;
-            var children = cont.children;
-            for (var i = 0; i < children.length; i++) {
-                var el = children[i];
-                if ((el.textContent || "").indexOf("Pax Historia") !== -1) return el;
-            }
+        function filterMap(check) {
+            var clean = {};
+            Object.keys(value).forEach(function (provider) {
+                if (!isProvider(provider)) return drop(provider, "unknown provider");
+                if (!check(value[provider])) return drop(provider, "invalid value");
+                clean[provider] = value[provider];
+            });
+            return clean;
         }
-        return null;
+        if (key === "fallbackChain") {
+            return value.filter(validEntry).map(function (entry) {
+                return { provider: entry.provider, model: entry.model || "" };
+            });
+        }
+        if (key === "routingRules") {
+            return value.filter(function (rule, i) {
+                return validEntry(rule, i) && (isImportText(rule.promptStage || "") && isImportText(rule.schemaName || "") || drop(i, "invalid pattern"));
+            }).map(function (rule) {
+                return { promptStage: rule.promptStage || "", schemaName: rule.schemaName || "", provider: rule.provider, model: rule.model || "" };
+            });
+        }
+        if (key === "providerTimeouts") {
+            return filterMap(function (t) { return !!t && isImportCount(t.connect) && isImportCount(t.total); });
+        }
+        if (key === "rateLimits") {
+            return filterMap(function (l) { return !!l && [l.concurrency, l.rpm, l.tpm].every(function (n) { return isImportCount(n) && n % 1 === 0; }); });
+        }
+        if (key === "apiKeys") {
+            return filterMap(function (k) { return typeof k === "string"; });
+        }
+        return value;
     }
 
-    function ensureParentFlex(element) {
-        var parent = element && element.parentNode;
-        if (parent && parent !== document.body) {
-            parent.style.setProperty("display", "flex", "important");
-            parent.style.setProperty("align-items", "center", "important");
-            parent.style.setProperty("gap", "0.5rem", "important");
+    // Keeps known keys whose type matches DEFAULTS; everything else is reported in `warnings`.
+    // `customIds` are custom providers defined by the same document.
+    function sanitizeSettingValues(values, keys, where, warnings, customIds) {
+        function isProvider(id) {
+            return isKnownProvider(id) || (customIds || []).indexOf(id) !== -1;
         }
+        var clean = {};
+        Object.keys(values || {}).forEach(function (key) {
+            if (keys.indexOf(key) === -1) {
+                warnings.push(where + "." + key + ": unknown setting, ignored");
+                return;
+            }
+            var value = values[key];
+            if (typeof DEFAULTS[key] === "number" && typeof value === "string" && value.trim() !== "" && !isNaN(Number(value))) {
+                value = Number(value);
+            }
+            if (settingTypeOf(value) !== settingTypeOf(DEFAULTS[key])) {
+                warnings.push(where + "." + key + ": expected " + settingTypeOf(DEFAULTS[key]) + ", got " + settingTypeOf(value) + ", ignored");
+                return;
+            }
+            if (key === "provider" && !isProvider(value)) {
+                warnings.push(where + ".provider: unknown provider \"" + value + "\", ignored");
+                return;
+            }
+            if (key === "customProviders") {
+                var seenIds = {};
+                value = value.filter(function (custom, i) {
+                    if (!isValidCustomProvider(custom)) {
+                        warnings.push(where + ".customProviders[" + i + "]: invalid custom provider, ignored");
+                        return false;
+                    }
+                    if (seenIds[custom.id]) {
+                        warnings.push(where + ".customProviders[" + i + "]: duplicate ID \"" + custom.id + "\", ignored");
+                        return false;
+                    }
+                    return (seenIds[custom.id] = true);
+                });
+            }
+            clean[key] = sanitizeStructuredSetting(key, value, where, warnings, isProvider);
+        });
+        return clean;
     }
 
-    function insertIndicatorAfterLogo(box, logoElement) {
-        var parent = logoElement.parentNode;
-        if (parent) {
-            if (logoElement.nextElementSibling) {
-                parent.insertBefore(box, logoElement.nextElementSibling);
-            } else {
-                parent.appendChild(box);
+    // Validates and migrates an imported document.
+    // Returns { activeProfile, profiles, shared, warnings } or throws with a readable message.
+    function parseSettingsImport(doc) {
+        if (!doc || typeof doc !== "object" || Array.isArray(doc)) throw new Error("Not a JSON object");
+        var source;
+        if (doc.format === SETTINGS_EXPORT_FORMAT) {
+            if (typeof doc.version !== "number" || doc.version < 2) throw new Error("Unsupported document version: " + doc.version);
+            if (doc.version > SETTINGS_EXPORT_VERSION) {
+                throw new Error("Exported by a newer script version (" + (doc.scriptVersion || "document v" + doc.version) + "). Update the script first.");
             }
-            ensureParentFlex(box);
+            source = { activeProfile: doc.activeProfile, profiles: doc.profiles, shared: doc.shared || {} };
+        } else if (doc.profiles && typeof doc.profiles === "object") {
+            // Raw storage dump (Tampermonkey "Storage" tab) of a version with profiles
+            var dumpShared = {};
+            PROFILE_SHARED_KEYS.forEach(function (key) { if (doc.hasOwnProperty(key)) dumpShared[key] = doc[key]; });
+            source = { activeProfile: doc.activeProfile, profiles: doc.profiles, shared: dumpShared };
+        } else if (Object.keys(doc).some(function (key) { return DEFAULTS.hasOwnProperty(key); })) {
+            // Flat settings of versions before profiles (15.x and earlier)
+            var flatProfile = {};
+            var flatShared = {};
+            Object.keys(doc).forEach(function (key) {
+                if (!DEFAULTS.hasOwnProperty(key)) return;
+                (isProfileKey(key) ? flatProfile : flatShared)[key] = doc[key];
+            });
+            source = { activeProfile: DEFAULT_PROFILE_NAME, profiles: {}, shared: flatShared };
+            source.profiles[DEFAULT_PROFILE_NAME] = flatProfile;
         } else {
-            document.body.appendChild(box);
+            throw new Error("Not a Pax AI Hook settings document");
         }
-    }
 
-    function createOrUpdateIndicator() {
-        if (!document.body) return;
-        var settings = loadSettings();
+        if (!source.profiles || typeof source.profiles !== "object" || Array.isArray(source.profiles) || !Object.keys(source.profiles).length) {
+            throw new Error("The document contains no profiles");
+        }
+        var warnings = [];
+        var profileKeys = Object.keys(DEFAULTS).filter(isProfileKey);
+        var sourceCustom = source.shared && Array.isArray(source.shared.customProviders) ? source.shared.customProviders : [];
+        var customIds = sourceCustom.filter(isValidCustomProvider).map(function (custom) { return custom.id; });
+        var profiles = {};
+        Object.keys(source.profiles).forEach(function (name) {
+            var profile = source.profiles[name];
+            if (!name.trim() || !profile || typeof profile !== "object" || Array.isArray(profile)) {
+                warnings.push("profiles." + name + ": not a settings object, ignored");
+                return;
+            }
+            profiles[name] = sanitizeSettingValues(profile, profileKeys, "profiles." + name, warnings, customIds);
+        });
+        if (!Object.keys(profiles).length) throw new Error("The document contains no valid profiles");
+        var shared = sanitizeSettingValues(source.shared, PROFILE_SHARED_KEYS, "shared", warnings, customIds);
+
+        // 15.x: one "apiKey" for the selected provider only
+        if (shared.apiKey && shared.apiKey !== REDACTED_SECRET) {
+            var firstProfile = profiles[source.activeProfile] || profiles[Object.keys(profiles)[0]];
+            var keyProvider = firstProfile.provider || DEFAULTS.provider;
+            shared.apiKeys = Object.assign({}, shared.apiKeys);
+            if (!shared.apiKeys[keyProvider] && usesKeyField(keyProvider)) shared.apiKeys[keyProvider] = shared.apiKey;
+        }
+        if (isVaultLocked() && JSON.stringify(redactSecrets(cloneValue(shared))) !== JSON.stringify(shared)) {
+            redactSecrets(shared);
+            warnings.push("API keys are locked: the keys in this document are ignored. Unlock them first to import keys.");
+        }
+        var activeProfile = profiles.hasOwnProperty(source.activeProfile) ? source.activeProfile : Object.keys(profiles)[0];
+        return { activeProfile: activeProfile, profiles: profiles, shared: shared, warnings: warnings };
+    }
+
+    // Shared values after the import. Redacted secrets keep the current value.
+    function mergeImportedShared(current, imported) {
+        var merged = cloneValue(current);
+        Object.keys(imported).forEach(function (key) {
+            if (key === "apiKeys") {
+                merged.apiKeys = Object.assign({}, merged.apiKeys);
+                Object.keys(imported.apiKeys).forEach(function (provider) {
+                    if (imported.apiKeys[provider] !== REDACTED_SECRET) merged.apiKeys[provider] = imported.apiKeys[provider];
+                });
+            } else if (imported[key] !== REDACTED_SECRET) {
+                merged[key] = cloneValue(imported[key]);
+            }
+        });
+        return merged;
+    }
+
+    // Imported profiles replace existing ones with the same name; other profiles are kept
+    function mergeImportedProfiles(current, imported) {
+        var merged = cloneValue(current);
+        Object.keys(imported).forEach(function (name) {
+            merged[name] = Object.assign(defaultProfile(), imported[name]);
+        });
+        return merged;
+    }
+
+    function describeSettingValue(path, value) {
+        var isSecret = SECRET_SETTING_KEYS.some(function (key) { return path === "shared." + key || path.indexOf("shared." + key + ".") === 0; });
+        if (value === undefined) return "(not set)";
+        if (isSecret) return value ? "•••• (set)" : "(empty)";
+        var text = JSON.stringify(value);
+        return text.length > 80 ? text.substring(0, 77) + "..." : text;
+    }
+
+    function collectDiffs(prefix, before, after, diffs) {
+        var keys = {};
+        Object.keys(before || {}).forEach(function (k) { keys[k] = true; });
+        Object.keys(after || {}).forEach(function (k) { keys[k] = true; });
+        Object.keys(keys).sort().forEach(function (key) {
+            var a = before ? before[key] : undefined;
+            var b = after ? after[key] : undefined;
+            var path = prefix + "." + key;
+            if (prefix === "profiles" && !a) {
+                diffs.push({ path: path, from: "(none)", to: "(new profile)" });
+            } else if (key === "apiKeys" || (prefix === "profiles" && b)) {
+                collectDiffs(path, a, b, diffs);
+            } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+                diffs.push({ path: path, from: describeSettingValue(path, a), to: describeSettingValue(path, b) });
+            }
+        });
+        return diffs;
+    }
+
+    // Lists what applying `imported` would change: [{ path, from, to }]
+    function diffSettingsImport(imported) {
+        var profiles = loadProfiles();
+        var diffs = [];
+        var activeBefore = getActiveProfileName(profiles);
+        if (activeBefore !== imported.activeProfile) {
+            diffs.push({ path: "activeProfile", from: JSON.stringify(activeBefore), to: JSON.stringify(imported.activeProfile) });
+        }
+        collectDiffs("shared", loadSharedSettings(), mergeImportedShared(loadSharedSettings(), imported.shared), diffs);
+        collectDiffs("profiles", profiles, mergeImportedProfiles(profiles, imported.profiles), diffs);
+        return diffs;
+    }
+
+    function applySettingsImport(imported) {
+        var shared = mergeImportedShared(loadSharedSettings(), imported.shared);
+        PROFILE_SHARED_KEYS.forEach(function (key) {
+            if (SECRET_SETTING_KEYS.indexOf(key) === -1) GM_setValue(key, shared[key]);
+        });
+        if (!isVaultLocked()) {
+            writeSecrets(shared).catch(function (e) {
+                console.error("[PAX AI] Could not save API keys:", e.message || e);
+            });
+        }
+        GM_setValue("profiles", mergeImportedProfiles(loadProfiles(), imported.profiles));
+        GM_setValue("activeProfile", imported.activeProfile);
+        console.log("%c[PAX AI] Imported settings (" + Object.keys(imported.profiles).length + " profile(s)); active profile \"" + imported.activeProfile + "\"", "color: cyan");
+        createOrUpdateIndicator();
+    }
+
+    // Keys are stored per provider. Older versions kept a single "apiKey",
+    // which is treated as the key of the currently selected provider.
+    function getApiKey(settings, provider) {
+        var def = getProviderDef(provider);
+        if (def && def.apiKeyKey) return (settings[def.apiKeyKey] || "").trim();
+        var keys = settings.apiKeys || {};
+        if (keys[provider]) return keys[provider];
+        return provider === settings.provider ? (settings.apiKey || "") : "";
+    }
+
+    // === FALLBACK CHAIN ===
+    // Entries are { provider, model }. An empty model means "use the model configured for that provider".
+    // Text form (one per line): "provider:model" or just "provider". Lines starting with # are ignored.
+    function parseProviderEntry(text) {
+        var sep = text.indexOf(":");
+        var provider = (sep === -1 ? text : text.substring(0, sep)).trim().toLowerCase();
+        if (!isKnownProvider(provider)) return null;
+        return { provider: provider, model: sep === -1 ? "" : text.substring(sep + 1).trim() };
+    }
+
+    function formatProviderEntry(entry) {
+        return entry.model ? entry.provider + ":" + entry.model : entry.provider;
+    }
+
+    function parseProviderChain(text) {
+        var entries = [];
+        (text || "").split("\n").forEach(function (line) {
+            line = line.trim();
+            if (!line || line.charAt(0) === "#") return;
+            var entry = parseProviderEntry(line);
+            if (!entry) {
+                console.warn("[PAX AI] Ignoring fallback entry with unknown provider: " + line);
+                return;
+            }
+            entries.push(entry);
+        });
+        return entries;
+    }
+
+    function formatProviderChain(entries) {
+        return (entries || []).map(formatProviderEntry).join("\n");
+    }
+
+    // === ROUTING RULES ===
+    // Rules pick the provider/model for a request by promptStage and jsonSchema name.
+    // Text form (one per line): "promptStage | schemaName => provider:model".
+    // Patterns accept * wildcards; an empty pattern matches anything. First matching rule wins.
+    function parseRoutingRules(text) {
+        var rules = [];
+        (text || "").split("\n").forEach(function (line) {
+            line = line.trim();
+            if (!line || line.charAt(0) === "#") return;
+            var arrow = line.indexOf("=>");
+            var entry = arrow === -1 ? null : parseProviderEntry(line.substring(arrow + 2).trim());
+            if (!entry) {
+                console.warn("[PAX AI] Ignoring invalid routing rule: " + line);
+                return;
+            }
+            var match = line.substring(0, arrow).split("|");
+            rules.push({
+                promptStage: (match[0] || "").trim(),
+                schemaName: (match[1] || "").trim(),
+                provider: entry.provider,
+                model: entry.model
+            });
+        });
+        return rules;
+    }
+
+    function formatRoutingRule(rule) {
+        return (rule.promptStage || "*") + " | " + (rule.schemaName || "*") + " => " + formatProviderEntry(rule);
+    }
+
+    function formatRoutingRules(rules) {
+        return (rules || []).map(formatRoutingRule).join("\n");
+    }
+
+    function matchesPattern(pattern, value) {
+        if (!pattern || pattern === "*") return true;
+        var source = pattern.split("*").map(function (part) {
+            return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+        }).join(".*");
+        return new RegExp("^" + source + "$", "i").test(value || "");
+    }
+
+    // Returns { entry, rule } for the first matching rule, or the configured provider
+    function resolveRoute(settings, request) {
+        var rules = settings.routingRules || [];
+        var schemaName = request.gameSchema && request.gameSchema.name || "";
+        for (var i = 0; i < rules.length; i++) {
+            var rule = rules[i];
+            if (matchesPattern(rule.promptStage, request.promptStage) && matchesPattern(rule.schemaName, schemaName)) {
+                return { entry: { provider: rule.provider, model: rule.model || "" }, rule: rule };
+            }
+        }
+        return { entry: { provider: settings.provider, model: "" }, rule: null };
+    }
+
+    // Routed entry first, then the fallback chain
+    function buildProviderChain(settings, request) {
+        return [resolveRoute(settings, request).entry].concat(settings.fallbackChain || []);
+    }
+
+    // Settings as seen by a single provider call: provider, model and key swapped in
+    function settingsForEntry(settings, entry) {
+        var copy = Object.assign({}, settings);
+        copy.provider = entry.provider;
+        if (entry.model) setModelId(copy, entry.provider, entry.model);
+        copy.apiKeyPool = getApiKeyList(settings, entry.provider);
+        copy.apiKey = copy.apiKeyPool[0] || "";
+        return copy;
+    }
+
+    function hasUsableKey(settings, provider) {
+        return !requiresApiKey(provider) || getApiKeyList(settings, provider).length > 0;
+    }
+
+    // === PROMPT TEMPLATES ===
+    // Templates are { promptStage, schemaName, system, prefix, suffix }; patterns accept "*" and the
+    // first matching template wins. The user message is prefix + prompt + suffix, unless the system
+    // text, prefix or suffix places {{prompt}} itself. The game's prompt is inserted verbatim, never rendered.
+    const PROMPT_TEMPLATE_VARIABLES = ["prompt", "promptStage", "schemaName", "date", "time", "provider", "model", "profile"];
+
+    function findPromptTemplate(settings, request) {
+        var templates = settings.promptTemplates || [];
+        var schemaName = request.gameSchema && request.gameSchema.name || "";
+        for (var i = 0; i < templates.length; i++) {
+            if (matchesPattern(templates[i].promptStage, request.promptStage) && matchesPattern(templates[i].schemaName, schemaName)) {
+                return templates[i];
+            }
+        }
+        return null;
+    }
+
+    function formatPromptTemplateLabel(template) {
+        return (template.promptStage || "*") + " | " + (template.schemaName || "*");
+    }
+
+    function getTemplateVariables(settings, request) {
+        var now = new Date();
+        return {
+            prompt: request.prompt,
+            promptStage: request.promptStage || "",
+            schemaName: request.gameSchema && request.gameSchema.name || "",
+            date: localDateKey(now),
+            time: String(now.getHours()).padStart(2, "0") + ":" + String(now.getMinutes()).padStart(2, "0"),
+            provider: settings.provider,
+            model: getModelId(settings),
+            profile: settings.profileName || ""
+        };
+    }
+
+    // Unknown variables are left as they are
+    function renderTemplateText(text, variables) {
+        return (text || "").replace(/\{\{\s*(\w+)\s*\}\}/g, function (match, name) {
+            return variables.hasOwnProperty(name) ? String(variables[name]) : match;
+        });
+    }
+
+    // { system, user, template } for one provider call; without a template the prompt is sent as is
+    function buildPromptParts(settings, request) {
+        var template = findPromptTemplate(settings, request);
+        if (!template) return { system: "", user: request.prompt, template: null };
+        var variables = getTemplateVariables(settings, request);
+        var usesPrompt = /\{\{\s*prompt\s*\}\}/.test([template.system, template.prefix, template.suffix].join("\n"));
+        var user = [renderTemplateText(template.prefix, variables), usesPrompt ? "" : request.prompt, renderTemplateText(template.suffix, variables)]
+            .filter(function (part) { return part; }).join("\n\n");
+        return { system: renderTemplateText(template.system, variables).trim(), user: user, template: template };
+    }
+
+    // === GENERATION PARAMETERS ===
+    // Stored as { "<provider>[.chat|.action]": { temperature: 0.7, ... } }, where "*" stands for
+    // every provider. Text form (one per line): "groq.action = temperature=0.2, seed=42, stop=END|###".
+    // Later scopes win: "*", "provider", "*.type", "provider.type". Providers list the names they
+    // reject (unsupportedParams) and their own field names (paramFields) in the registry.
+    const GENERATION_PARAM_NAMES = ["temperature", "top_p", "top_k", "max_tokens", "presence_penalty", "frequency_penalty", "seed", "stop"];
+    var reportedDroppedParams = {};
+
+    // { unsupportedParams, paramFields } for the API the call goes to
+    function getParamRules(settings) {
+        var def = getProviderDef(settings.provider) || {};
+        var rules = settings.ollamaNativeApi && def.nativeApi ? def.nativeApi : def;
+        return { unsupportedParams: rules.unsupportedParams || [], paramFields: rules.paramFields || {} };
+    }
+
+    function parseGenerationParamValue(name, value) {
+        if (name === "stop") {
+            var stops = value.split("|").map(function (part) { return part.trim(); }).filter(Boolean);
+            return stops.length ? stops : null;
+        }
+        var number = Number(value);
+        if (value === "" || isNaN(number)) return null;
+        return name === "top_k" || name === "max_tokens" || name === "seed" ? Math.round(number) : number;
+    }
+
+    function parseGenerationParams(text) {
+        var params = {};
+        (text || "").split("\n").forEach(function (line) {
+            line = line.trim();
+            if (!line || line.charAt(0) === "#") return;
+            var m = line.match(/^([\w*-]+)(?:\.(chat|action))?\s*=\s*(.*)$/i);
+            var provider = m ? m[1].toLowerCase() : "";
+            if (!m || (provider !== "*" && !isKnownProvider(provider))) {
+                console.warn("[PAX AI] Ignoring invalid generation parameters: " + line);
+                return;
+            }
+            var scope = provider + (m[2] ? "." + m[2].toLowerCase() : "");
+            var values = params[scope] || {};
+            m[3].split(",").forEach(function (pair) {
+                if (!pair.trim()) return;
+                var sep = pair.indexOf("=");
+                var name = (sep === -1 ? pair : pair.substring(0, sep)).trim().toLowerCase();
+                var value = sep === -1 ? null : parseGenerationParamValue(name, pair.substring(sep + 1).trim());
+                if (GENERATION_PARAM_NAMES.indexOf(name) === -1 || value === null) {
+                    console.warn("[PAX AI] Ignoring invalid generation parameter \"" + pair.trim() + "\" in: " + line);
+                    return;
+                }
+                values[name] = value;
+            });
+            params[scope] = values;
+        });
+        return params;
+    }
+
+    function formatGenerationParams(params) {
+        return Object.keys(params || {}).map(function (scope) {
+            return scope + " = " + Object.keys(params[scope]).map(function (name) {
+                var value = params[scope][name];
+                return name + "=" + (Array.isArray(value) ? value.join("|") : value);
+            }).join(", ");
+        }).join("\n");
+    }
+
+    // Parameters for one call, in the canonical names above; unsupported ones are dropped
+    function resolveGenerationParams(settings, request) {
+        var all = settings.generationParams || {};
+        var type = request.isAction ? "action" : "chat";
+        var params = {};
+        ["*", settings.provider, "*." + type, settings.provider + "." + type].forEach(function (scope) {
+            Object.assign(params, all[scope]);
+        });
+        var dropped = getParamRules(settings).unsupportedParams.filter(function (name) { return params.hasOwnProperty(name); });
+        dropped.forEach(function (name) { delete params[name]; });
+        var reportKey = settings.provider + ":" + dropped.join(",");
+        if (dropped.length && !reportedDroppedParams[reportKey]) {
+            reportedDroppedParams[reportKey] = true;
+            console.log("%c[PAX AI] " + settings.provider + " does not support " + dropped.join(", ") + "; dropped from its requests.", "color: gray");
+        }
+        return params;
+    }
+
+    // Names missing from the provider's paramFields are sent unchanged
+    function applyGenerationParams(target, settings, params) {
+        var fields = getParamRules(settings).paramFields;
+        Object.keys(params).forEach(function (name) {
+            target[fields[name] || name] = params[name];
+        });
+        return target;
+    }
+
+    // === REASONING ===
+    // One setting for every provider. "default" leaves each API alone (Google still gets
+    // thinkingBudget), "off" disables thinking where the API allows it, low/medium/high enable it.
+    // How a provider takes it is its registry "reasoning" kind: "google"/"anthropic" (token budget),
+    // "effort" (reasoning_effort), "openrouter" (reasoning object), "ollama" (native think).
+    // Providers without a kind are left alone.
+    const REASONING_LEVELS = ["default", "off", "low", "medium", "high"];
+    const ANTHROPIC_MIN_THINKING_BUDGET = 1024;
+
+    function getReasoningLevel(settings) {
+        return REASONING_LEVELS.indexOf(settings.reasoning) === -1 ? "default" : settings.reasoning;
+    }
+
+    function isReasoningEnabled(settings) {
+        var level = getReasoningLevel(settings);
+        return level !== "default" && level !== "off";
+    }
+
+    function getThinkingBudget(settings) {
+        return Math.max(0, parseInt(settings.thinkingBudget, 10) || 0);
+    }
+
+    // Adds the reasoning fields to `target`: the payload, or generationConfig for Google
+    function applyReasoning(target, settings) {
+        var level = getReasoningLevel(settings);
+        switch ((getProviderDef(settings.provider) || {}).reasoning) {
+            case "google":
+                target.thinkingConfig = level === "off"
+                    ? { thinking_budget: 0 }
+                    : { include_thoughts: true, thinking_budget: getThinkingBudget(settings) };
+                break;
+            case "anthropic":
+                if (!isReasoningEnabled(settings)) break;
+                var budget = Math.max(ANTHROPIC_MIN_THINKING_BUDGET, getThinkingBudget(settings));
+                target.thinking = { type: "enabled", budget_tokens: budget };
+                // Thinking counts against max_tokens, which must stay above the budget
+                if (!(target.max_tokens > budget)) target.max_tokens = budget + (target.max_tokens || 0);
+                var dropped = ["temperature", "top_k"].filter(function (name) { return target.hasOwnProperty(name); });
+                dropped.forEach(function (name) { delete target[name]; });
+                if (dropped.length && !reportedDroppedParams["anthropic:thinking"]) {
+                    reportedDroppedParams["anthropic:thinking"] = true;
+                    console.log("%c[PAX AI] Anthropic extended thinking does not allow " + dropped.join(", ") + "; dropped from its requests.", "color: gray");
+                }
+                break;
+            case "effort":
+                if (isReasoningEnabled(settings)) target.reasoning_effort = level;
+                break;
+            case "ollama":
+                // Native API only; thinking models accept think, gpt-oss takes the level itself
+                if (!settings.ollamaNativeApi || level === "default") break;
+                target.think = level === "off" ? false : /gpt-oss/i.test(getModelId(settings)) ? level : true;
+                break;
+            case "openrouter":
+                if (level === "off") target.reasoning = { enabled: false };
+                else if (level !== "default") target.reasoning = { effort: level };
+                break;
+        }
+        return target;
+    }
+
+    // Models such as DeepSeek R1 or Qwen put their thinking in <think>...</think> before the answer
+    function splitThinkTags(text) {
+        var m = /^\s*<think>([\s\S]*?)<\/think>\s*/i.exec(text || "");
+        if (!m) return { text: text || "", thinking: "" };
+        return { text: text.substring(m[0].length), thinking: m[1].trim() };
+    }
+
+    // === STRUCTURED OUTPUT ===
+    // How OpenAI-compatible providers are held to the game's schema, strongest first:
+    // "json_schema" (response_format json_schema), "tool" (forced function call with the schema
+    // as parameters), "json_object" (JSON mode plus schema instructions) and "prompt" (schema
+    // instructions only). The mode comes from the user's "provider[:model] = mode" table, else
+    // the provider's structuredOutput rows in the registry. A 400 that blames the mode downgrades that model for good;
+    // learned modes are stored under "structuredOutputLearned": { "groq:model": "json_object" }.
+    const STRUCTURED_OUTPUT_MODES = ["json_schema", "tool", "json_object", "prompt"];
+    const STRUCTURED_OUTPUT_LEARNED_KEY = "structuredOutputLearned";
+
+    // Google and Anthropic have their own native schema support
+    function usesStructuredOutputModes(provider) {
+        var def = getProviderDef(provider);
+        return !!def && def.api === "openai";
+    }
+
+    function parseStructuredOutputModes(text) {
+        var modes = {};
+        (text || "").split("\n").forEach(function (line) {
+            line = line.trim();
+            if (!line || line.charAt(0) === "#") return;
+            var eq = line.lastIndexOf("=");
+            var entry = eq === -1 ? null : parseProviderEntry(line.substring(0, eq).trim());
+            var mode = eq === -1 ? "" : line.substring(eq + 1).trim().toLowerCase();
+            if (!entry || !usesStructuredOutputModes(entry.provider) || STRUCTURED_OUTPUT_MODES.indexOf(mode) === -1) {
+                console.warn("[PAX AI] Ignoring invalid structured output mode: " + line);
+                return;
+            }
+            modes[entry.provider + ":" + (entry.model || "*")] = mode;
+        });
+        return modes;
+    }
+
+    function formatStructuredOutputModes(modes) {
+        return Object.keys(modes || {}).map(function (key) {
+            return key.replace(/:\*$/, "") + " = " + modes[key];
+        }).join("\n");
+    }
+
+    function loadLearnedModes() {
+        var learned = GM_getValue(STRUCTURED_OUTPUT_LEARNED_KEY, {});
+        return learned && typeof learned === "object" ? learned : {};
+    }
+
+    function weakerMode(a, b) {
+        return STRUCTURED_OUTPUT_MODES.indexOf(a) >= STRUCTURED_OUTPUT_MODES.indexOf(b) ? a : b;
+    }
+
+    // User table (exact model, then patterns), then the provider's structuredOutput rows
+    function getConfiguredMode(settings, provider, model) {
+        var modes = settings.structuredOutputModes || {};
+        if (modes[provider + ":" + model]) return modes[provider + ":" + model];
+        var keys = Object.keys(modes);
+        for (var i = 0; i < keys.length; i++) {
+            var sep = keys[i].indexOf(":");
+            if (keys[i].substring(0, sep) === provider && matchesPattern(keys[i].substring(sep + 1), model)) return modes[keys[i]];
+        }
+        var rows = (getProviderDef(provider) || {}).structuredOutput || [];
+        for (var j = 0; j < rows.length; j++) {
+            if (matchesPattern(rows[j][0], model)) return rows[j][1];
+        }
+        return "json_schema";
+    }
+
+    function getStructuredOutputMode(settings) {
+        var model = getModelId(settings);
+        var configured = getConfiguredMode(settings, settings.provider, model);
+        var learned = loadLearnedModes()[settings.provider + ":" + model];
+        return learned ? weakerMode(configured, learned) : configured;
+    }
+
+    // A 400/422 whose message blames response_format, the schema or tool calling
+    function isStructuredOutputRejection(e) {
+        var status = e && (e.status || (e.response && e.response.status));
+        if (status !== 400 && status !== 422) return false;
+        return /response_format|json_schema|json_object|structured|schema|tool|function/i.test(e.message || "");
+    }
+
+    // Remembers the next weaker mode for the model that rejected `mode`
+    function learnWeakerMode(settings, mode, request) {
+        var model = getModelId(settings);
+        var next = STRUCTURED_OUTPUT_MODES[STRUCTURED_OUTPUT_MODES.indexOf(mode) + 1] || "prompt";
+        var learned = loadLearnedModes();
+        var key = settings.provider + ":" + model;
+        learned[key] = learned[key] ? weakerMode(learned[key], next) : next;
+        GM_setValue(STRUCTURED_OUTPUT_LEARNED_KEY, learned);
+        var note = key + " rejected " + mode + " structured output; using " + learned[key] + " from now on.";
+        console.warn("[PAX AI] " + note);
+        if (request.trace) request.trace.errors.push(note);
+    }
+
+    function forgetLearnedModes() {
+        GM_setValue(STRUCTURED_OUTPUT_LEARNED_KEY, {});
+    }
+
+    // Function names allow letters, digits, "_" and "-" (max 64)
+    function getSchemaToolName(gameSchema) {
+        return String(gameSchema.name || "respond").replace(/[^A-Za-z0-9_-]/g, "_").substring(0, 64) || "respond";
+    }
+
+    // Kept in the system message, away from the game's prompt, and phrased so the model
+    // answers with data instead of echoing the schema back
+    function buildSchemaInstructions(gameSchema) {
+        return "Reply with one JSON value only: no prose, no Markdown fences. " +
+            "It must be data that conforms to the JSON Schema below; do not repeat or describe the schema itself.\n" +
+            "JSON Schema:\n" + JSON.stringify(gameSchema.schema || gameSchema);
+    }
+
+    function applyStructuredOutput(payload, mode, gameSchema) {
+        switch (mode) {
+            case "json_schema":
+                payload.response_format = { type: "json_schema", json_schema: gameSchema };
+                return;
+            case "tool":
+                var name = getSchemaToolName(gameSchema);
+                payload.tools = [{ type: "function", function: { name: name, description: "Submit the response.", parameters: gameSchema.schema || gameSchema } }];
+                payload.tool_choice = { type: "function", function: { name: name } };
+                return;
+            case "json_object":
+                payload.response_format = { type: "json_object" };
+                break;
+        }
+        var system = payload.messages[0].role === "system" ? payload.messages[0] : null;
+        if (system) system.content += "\n\n" + buildSchemaInstructions(gameSchema);
+        else payload.messages.unshift({ role: "system", content: buildSchemaInstructions(gameSchema) });
+    }
+
+    // === CONTEXT BUDGET ===
+    // Prompt budget = model context length - output reservation. Lengths come from the
+    // "model = tokens" table, else from model metadata (Ollama, LM Studio, OpenRouter, cached model listings).
+    // Unknown lengths disable budgeting. Overflow strategies: "warn", "trim" (cut the middle
+    // of the prompt, where the oldest history sits) and "reroute" (to contextRerouteEntry).
+    var detectedContextLengths = {}; // "provider:model" -> tokens (0 = unknown), per page load
+
+    function parseContextLengths(text) {
+        var lengths = {};
+        (text || "").split("\n").forEach(function (line) {
+            line = line.trim();
+            if (!line || line.charAt(0) === "#") return;
+            var m = line.match(/^(.+?)\s*=\s*(\d+)$/);
+            if (!m) {
+                console.warn("[PAX AI] Ignoring invalid context length: " + line);
+                return;
+            }
+            lengths[m[1].trim()] = parseInt(m[2], 10);
+        });
+        return lengths;
+    }
+
+    function formatContextLengths(lengths) {
+        return Object.keys(lengths || {}).map(function (model) { return model + " = " + lengths[model]; }).join("\n");
+    }
+
+    // An explicit max_tokens generation parameter takes precedence over the reservation setting
+    function getOutputReserve(settings, request) {
+        var explicit = resolveGenerationParams(settings, request).max_tokens;
+        if (explicit > 0) return explicit;
+        var reserve = parseInt(settings.outputReserveTokens, 10);
+        return reserve > 0 ? reserve : DEFAULTS.outputReserveTokens;
+    }
+
+    // Resolves with the context length from the provider's model metadata, or 0
+    function detectContextLength(settings, provider, model) {
+        var root;
+        if (provider === "ollama") {
+            // num_ctx is what the server actually runs with; context_length is the model's maximum
+            return fetchApi(getOllamaRoot(settings) + "/api/show", { method: "POST", body: { model: model }, timeout: 5000 }).then(function (result) {
+                if (!result.ok || !result.data) return 0;
+                var numCtx = /(?:^|\n)\s*num_ctx\s+(\d+)/.exec(result.data.parameters || "");
+                if (numCtx) return parseInt(numCtx[1], 10);
+                var info = result.data.model_info || {};
+                var key = Object.keys(info).find(function (k) { return /\.context_length$/.test(k); });
+                return key ? Number(info[key]) || 0 : 0;
+            });
+        }
+        if (provider === "lmstudio") {
+            root = buildBaseUrl(settings.lmStudioBaseUrl || DEFAULTS.lmStudioBaseUrl).replace(/\/v1$/, "");
+            return fetchApi(root + "/api/v0/models/" + encodeURIComponent(model), { timeout: 5000 }).then(function (result) {
+                if (!result.ok || !result.data) return 0;
+                return Number(result.data.loaded_context_length || result.data.max_context_length) || 0;
+            });
+        }
+        // OpenRouter's listing is fetched for this; other providers only use an already cached one
+        var catalogSettings = Object.assign({}, settings, { provider: provider });
+        var catalog = provider === "openrouter" ? loadModelCatalog(catalogSettings) : Promise.resolve(getCachedModelCatalog(catalogSettings));
+        return catalog.then(function (entry) {
+            var found = entry && entry.models.find(function (m) { return m.id === model; });
+            return found ? found.contextLength || 0 : 0;
+        });
+    }
+
+    async function getContextLength(entrySettings) {
+        var model = getModelId(entrySettings);
+        var configured = (entrySettings.contextLengths || {})[model];
+        if (configured) return configured;
+        var numCtx = getOllamaNumCtx(entrySettings);
+        if (numCtx) return numCtx;
+        var key = entrySettings.provider + ":" + model;
+        if (!detectedContextLengths.hasOwnProperty(key)) {
+            var detected = 0;
+            try {
+                detected = await detectContextLength(entrySettings, entrySettings.provider, model);
+            } catch (e) {
+                console.warn("[PAX AI] Could not read the context length of " + key + ":", e.message || e);
+            }
+            detectedContextLengths[key] = detected;
+            if (detected) console.log("%c[PAX AI] Context length of " + key + ": " + detected + " tokens (from model metadata)", "color: gray");
+        }
+        return detectedContextLengths[key];
+    }
+
+    // Keeps the start (instructions) and the end (latest turns) of the prompt; cuts at line breaks
+    function trimPromptMiddle(prompt, maxChars) {
+        if (prompt.length <= maxChars) return prompt;
+        var marker = "\n\n[... " + (prompt.length - maxChars) + " characters of earlier history omitted to fit the context window ...]\n\n";
+        var keep = Math.max(0, maxChars - marker.length);
+        var headEnd = Math.floor(keep / 3);
+        var tailStart = prompt.length - (keep - headEnd);
+        var lineEnd = prompt.lastIndexOf("\n", headEnd);
+        if (lineEnd > headEnd / 2) headEnd = lineEnd;
+        var lineStart = prompt.indexOf("\n", tailStart);
+        if (lineStart !== -1 && lineStart < tailStart + (prompt.length - tailStart) / 2) tailStart = lineStart + 1;
+        marker = marker.replace(String(prompt.length - maxChars), String(tailStart - headEnd));
+        return prompt.substring(0, headEnd) + marker + prompt.substring(tailStart);
+    }
+
+    function describeBudget(entrySettings, promptTokens, budget, reserve) {
+        return entrySettings.provider + " | " + getModelLabel(entrySettings) + ": prompt ~" + promptTokens + " tokens, budget " + budget +
+            " (context " + (budget + reserve) + " - " + reserve + " reserved for output)";
+    }
+
+    // Resolves with the { entry, entrySettings, request } to use for one chain entry.
+    // Repair prompts and the reroute target are fitted with allowReroute false, so a
+    // request is rerouted at most once and a repair stays with the entry it repairs.
+    async function fitRequestToContext(settings, entry, entrySettings, request, allowReroute) {
+        var fitted = { entry: entry, entrySettings: entrySettings, request: request };
+        if (entry.provider === "fixture") return fitted;
+        var contextLength = await getContextLength(entrySettings);
+        if (!contextLength) return fitted;
+        var reserve = getOutputReserve(entrySettings, request);
+        var budget = contextLength - reserve;
+        fitted.entrySettings = Object.assign({}, entrySettings, { maxOutputTokens: reserve });
+        var parts = buildPromptParts(entrySettings, request);
+        var promptTokens = estimatePromptTokens(parts.system + parts.user);
+        if (promptTokens <= budget) return fitted;
+
+        var note = "Prompt too long for " + describeBudget(entrySettings, promptTokens, budget, reserve);
+        var strategy = settings.contextOverflow || DEFAULTS.contextOverflow;
+        var reroute = strategy === "reroute" && allowReroute ? parseProviderEntry(settings.contextRerouteEntry || "") : null;
+        if (strategy === "trim") {
+            var overhead = promptTokens - estimatePromptTokens(request.prompt);
+            var maxChars = (budget - overhead) * 4;
+            if (maxChars <= 0) throw new Error(note + "; the template alone exceeds the budget");
+            fitted.request = Object.assign({}, request, { prompt: trimPromptMiddle(request.prompt, maxChars) });
+            note += "; trimmed the middle (" + request.prompt.length + " -> " + fitted.request.prompt.length + " characters)";
+        } else if (reroute) {
+            note += "; rerouted to " + formatProviderEntry(reroute);
+            console.warn("[PAX AI] " + note);
+            if (request.trace) request.trace.errors.push(note);
+            // The target gets its own budget check and output reservation
+            return fitRequestToContext(settings, reroute, settingsForEntry(settings, reroute), request, false);
+        } else if (strategy === "reroute") {
+            note += (allowReroute ? "; no valid reroute entry, sending anyway" : "; not rerouted again, sending anyway");
+        } else {
+            note += "; sending anyway";
+        }
+        console.warn("[PAX AI] " + note);
+        if (request.trace) request.trace.errors.push(note);
+        return fitted;
+    }
+
+    // === REQUEST QUEUE ===
+    // Per-provider limits in text form (one per line): "provider = concurrency/rpm/tpm".
+    // 0 = no limit. Calls over a limit wait in a queue: chat first, then actions, FIFO within each.
+    function parseRateLimits(text) {
+        var limits = {};
+        (text || "").split("\n").forEach(function (line) {
+            line = line.trim();
+            if (!line || line.charAt(0) === "#") return;
+            var m = line.match(/^([\w-]+)\s*=\s*(\d+)\s*\/\s*(\d+)\s*\/\s*(\d+)$/);
+            if (!m || !isKnownProvider(m[1].toLowerCase())) {
+                console.warn("[PAX AI] Ignoring invalid rate limit: " + line);
+                return;
+            }
+            limits[m[1].toLowerCase()] = { concurrency: parseInt(m[2], 10), rpm: parseInt(m[3], 10), tpm: parseInt(m[4], 10) };
+        });
+        return limits;
+    }
+
+    function formatRateLimits(limits) {
+        return Object.keys(limits || {}).map(function (provider) {
+            var l = limits[provider];
+            return provider + " = " + l.concurrency + "/" + l.rpm + "/" + l.tpm;
+        }).join("\n");
+    }
+
+    const RATE_WINDOW_MS = 60 * 1000;
+    var providerQueues = {}; // provider -> { active, waiting: [job], window: [{ at, tokens }], timer, seq }
+
+    function getProviderQueue(provider) {
+        if (!providerQueues[provider]) providerQueues[provider] = { active: 0, waiting: [], window: [], timer: null, seq: 0 };
+        return providerQueues[provider];
+    }
+
+    function getQueueDepth() {
+        return Object.keys(providerQueues).reduce(function (sum, provider) { return sum + providerQueues[provider].waiting.length; }, 0);
+    }
+
+    function getQueueSummaryLines() {
+        return Object.keys(providerQueues).filter(function (provider) {
+            var q = providerQueues[provider];
+            return q.active || q.waiting.length;
+        }).map(function (provider) {
+            var q = providerQueues[provider];
+            return provider + ": " + q.active + " running, " + q.waiting.length + " queued";
+        });
+    }
+
+    // Rough prompt size used for the tokens-per-minute budget until the real usage is known
+    function estimatePromptTokens(prompt) {
+        return Math.ceil((prompt || "").length / 4);
+    }
+
+    // Starts as many waiting calls as the limits allow; wakes up again when the window frees up
+    function pumpProviderQueue(provider, limits) {
+        var q = getProviderQueue(provider);
+        if (q.timer) {
+            clearTimeout(q.timer);
+            q.timer = null;
+        }
+        while (q.waiting.length) {
+            var now = Date.now();
+            q.window = q.window.filter(function (start) { return start.at > now - RATE_WINDOW_MS; });
+            var job = q.waiting[0];
+            if (limits.concurrency && q.active >= limits.concurrency) break;
+            var windowTokens = q.window.reduce(function (sum, start) { return sum + start.tokens; }, 0);
+            // A single call larger than the whole budget still runs once the window is empty
+            var overRpm = limits.rpm && q.window.length >= limits.rpm;
+            var overTpm = limits.tpm && q.window.length && windowTokens + job.tokens > limits.tpm;
+            if (overRpm || overTpm) {
+                q.timer = setTimeout(function () { pumpProviderQueue(provider, limits); }, Math.max(50, q.window[0].at + RATE_WINDOW_MS - now));
+                break;
+            }
+            q.waiting.shift();
+            q.active++;
+            var start = { at: now, tokens: job.tokens };
+            q.window.push(start);
+            job.start(start);
+        }
+        refreshQueueIndicator();
+    }
+
+    // Resolves with a release(usage) function once the call may start
+    function acquireProviderSlot(provider, limits, request) {
+        var q = getProviderQueue(provider);
+        return new Promise(function (resolve, reject) {
+            if (request.signal && request.signal.aborted) return reject(createAbortError());
+            var job = {
+                priority: request.isAction ? 1 : 0,
+                seq: q.seq++,
+                tokens: estimatePromptTokens(request.prompt),
+                start: function (start) {
+                    if (request.signal) request.signal.removeEventListener("abort", onAbort);
+                    var released = false;
+                    resolve(function release(usage) {
+                        if (released) return;
+                        released = true;
+                        if (usage) start.tokens = usage.input + usage.output + usage.thinking;
+                        q.active--;
+                        pumpProviderQueue(provider, q.limits);
+                    });
+                }
+            };
+            function onAbort() {
+                var index = q.waiting.indexOf(job);
+                if (index !== -1) q.waiting.splice(index, 1);
+                refreshQueueIndicator();
+                reject(createAbortError());
+            }
+            if (request.signal) request.signal.addEventListener("abort", onAbort, { once: true });
+            var at = q.waiting.length;
+            while (at > 0 && q.waiting[at - 1].priority > job.priority) at--;
+            q.waiting.splice(at, 0, job);
+            q.limits = limits;
+            if (q.waiting.length > 1 || (limits.concurrency && q.active >= limits.concurrency)) {
+                console.log("%c[PAX AI] Queued " + (request.isAction ? "action" : "chat") + " request for " + provider + " (" + q.waiting.length + " waiting)", "color: gray");
+            }
+            pumpProviderQueue(provider, limits);
+        });
+    }
+
+    // One provider HTTP call inside its queue slot
+    async function callProviderQueued(entrySettings, request) {
+        var limits = (entrySettings.rateLimits || {})[entrySettings.provider];
+        if (!limits || entrySettings.provider === "fixture") return callProvider(entrySettings, request);
+        var release = await acquireProviderSlot(entrySettings.provider, limits, request);
+        try {
+            var result = await callProvider(entrySettings, request);
+            release(result.usage);
+            return result;
+        } catch (e) {
+            release(null);
+            throw e;
+        }
+    }
+
+    // === API KEY ROTATION ===
+    // A key field may hold several keys separated by commas or new lines. Calls use the first
+    // key that is not cooling down; a key that hits a rate limit or quota cools down and the
+    // call moves on to the next key at once. When every key is cooling down, the one that
+    // recovers first is used, so a single key behaves as before (withRetry backs off).
+    // Stats are stored under the "apiKeyStats" key, per key ID (truncated SHA-256 of the key):
+    // { groq: { "3f9a…": { ok, failed, limited, cooldownUntil, lastError } } }
+    const RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+    const QUOTA_COOLDOWN_MS = 60 * 60 * 1000;
+    const MAX_KEY_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+    function splitApiKeys(value) {
+        return String(value || "").split(/[\s,]+/).filter(Boolean);
+    }
+
+    function getApiKeyList(settings, provider) {
+        return splitApiKeys(getApiKey(settings, provider));
+    }
+
+    // Enough of the key to recognize it in the settings and logs without revealing it (display only)
+    function getKeyLabel(key) {
+        return "…" + key.slice(-6);
+    }
+
+    // Stats key: keys that share their last characters must not share counters and cooldowns
+    const keyIdCache = {};
+
+    async function getKeyId(key) {
+        if (!keyIdCache[key]) keyIdCache[key] = (await sha256Hex(key)).slice(0, 16);
+        return keyIdCache[key];
+    }
+
+    function loadKeyStats() {
+        var stats = GM_getValue("apiKeyStats", {});
+        return stats && typeof stats === "object" ? stats : {};
+    }
+
+    function getKeyStats(provider, keyId) {
+        var stats = loadKeyStats();
+        return (stats[provider] || {})[keyId] || { ok: 0, failed: 0, limited: 0, cooldownUntil: 0, lastError: "" };
+    }
+
+    function updateKeyStats(provider, keyId, update) {
+        var stats = loadKeyStats();
+        stats[provider] = stats[provider] || {};
+        var entry = stats[provider][keyId] || { ok: 0, failed: 0, limited: 0, cooldownUntil: 0, lastError: "" };
+        update(entry);
+        stats[provider][keyId] = entry;
+        GM_setValue("apiKeyStats", stats);
+    }
+
+    // "rate" for a temporary limit, "quota" for an exhausted allowance, null otherwise
+    function getRateLimitKind(e) {
+        var status = e && (e.status || (e.response && e.response.status));
+        var msg = (e && e.message || "").toLowerCase();
+        var mentionsQuota = /quota|resource_exhausted|insufficient_quota|credits|billing/.test(msg);
+        if (status === 402) return "quota";
+        if (status === 429) return mentionsQuota && !/per minute|per second|rpm|tpm/.test(msg) ? "quota" : "rate";
+        if (status === 403 && mentionsQuota) return "quota";
+        return null;
+    }
+
+    // Providers often say when to come back (Retry-After, rate limit reset headers, "Please try again in 7.5s")
+    function getCooldownMs(e, kind) {
+        var ms = getRetryAfterMs(e);
+        if (ms > 0) return Math.min(MAX_KEY_COOLDOWN_MS, ms);
+        return kind === "quota" ? QUOTA_COOLDOWN_MS : RATE_LIMIT_COOLDOWN_MS;
+    }
+
+    function formatCooldown(ms) {
+        var sec = Math.ceil(ms / 1000);
+        return sec < 120 ? sec + "s" : Math.ceil(sec / 60) + "min";
+    }
+
+    // Index of the key to use, given the keys' stats IDs
+    function pickApiKey(provider, keyIds) {
+        var now = Date.now();
+        var best = 0;
+        var bestUntil = Infinity;
+        for (var i = 0; i < keyIds.length; i++) {
+            var until = getKeyStats(provider, keyIds[i]).cooldownUntil || 0;
+            if (until <= now) return i;
+            if (until < bestUntil) {
+                best = i;
+                bestUntil = until;
+            }
+        }
+        return best;
+    }
+
+    async function callWithKeyRotation(entrySettings, request) {
+        var provider = entrySettings.provider;
+        var keys = entrySettings.apiKeyPool || [];
+        if (keys.length === 0) return callProviderQueued(entrySettings, request);
+        var keyIds = await Promise.all(keys.map(getKeyId));
+        var lastError;
+        for (var attempt = 0; attempt < keys.length; attempt++) {
+            var index = pickApiKey(provider, keyIds);
+            var key = keys[index];
+            try {
+                var result = await callProviderQueued(Object.assign({}, entrySettings, { apiKey: key }), request);
+                updateKeyStats(provider, keyIds[index], function (entry) { entry.ok++; });
+                return result;
+            } catch (e) {
+                if (isAbortError(e)) throw e;
+                lastError = e;
+                var kind = getRateLimitKind(e);
+                var cooldown = kind ? getCooldownMs(e, kind) : 0;
+                updateKeyStats(provider, keyIds[index], function (entry) {
+                    entry.failed++;
+                    entry.lastError = (e.message || String(e)).substring(0, 200);
+                    if (kind) {
+                        entry.limited++;
+                        entry.cooldownUntil = Date.now() + cooldown;
+                    }
+                });
+                if (!kind || keys.length === 1) throw e;
+                var note = provider + " key " + getKeyLabel(key) + " hit its " + (kind === "quota" ? "quota" : "rate limit") + ", cooling down for " + formatCooldown(cooldown);
+                console.warn("[PAX AI] " + note + "; rotating to the next key.");
+                if (request.trace) request.trace.errors.push(note);
+            }
+        }
+        throw lastError;
+    }
+
+    // === TOKEN USAGE & COST ===
+    // Usage is stored per local day and provider under the "usageStats" key:
+    // { days: { "2026-01-31": { groq: { requests, input, output, thinking, cost } } } }
+    const USAGE_HISTORY_DAYS = 62;
+    const sessionUsage = {};
+
+    function normalizeUsage(input, output, thinking) {
+        return {
+            input: Math.max(0, Number(input) || 0),
+            output: Math.max(0, Number(output) || 0),
+            thinking: Math.max(0, Number(thinking) || 0)
+        };
+    }
+
+    // Prices in USD per million tokens. Text form (one per line): "modelPattern = input/output".
+    // Patterns accept * wildcards. Thinking tokens are billed at the output price.
+    function parsePriceTable(text) {
+        var table = {};
+        (text || "").split("\n").forEach(function (line) {
+            line = line.trim();
+            if (!line || line.charAt(0) === "#") return;
+            var m = line.match(/^(.+?)\s*=\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+            if (!m) {
+                console.warn("[PAX AI] Ignoring invalid price entry: " + line);
+                return;
+            }
+            table[m[1].trim()] = { input: parseFloat(m[2]), output: parseFloat(m[3]) };
+        });
+        return table;
+    }
+
+    function formatPriceTable(table) {
+        return Object.keys(table || {}).map(function (pattern) {
+            return pattern + " = " + table[pattern].input + "/" + table[pattern].output;
+        }).join("\n");
+    }
+
+    // Exact model ID first, then the first matching wildcard pattern
+    function findModelPrice(settings, model) {
+        var table = settings.priceTable || {};
+        if (table[model]) return table[model];
+        var patterns = Object.keys(table);
+        for (var i = 0; i < patterns.length; i++) {
+            if (patterns[i].indexOf("*") !== -1 && matchesPattern(patterns[i], model)) return table[patterns[i]];
+        }
+        return null;
+    }
+
+    function estimateCost(settings, model, usage) {
+        var price = findModelPrice(settings, model);
+        if (!price || !usage) return 0;
+        return (usage.input * price.input + (usage.output + usage.thinking) * price.output) / 1e6;
+    }
+
+    function localDateKey(date) {
+        date = date || new Date();
+        return date.getFullYear() + "-" + String(date.getMonth() + 1).padStart(2, "0") + "-" + String(date.getDate()).padStart(2, "0");
+    }
+
+    function addUsage(target, usage, cost) {
+        target.requests = (target.requests || 0) + 1;
+        target.input = (target.input || 0) + usage.input;
+        target.output = (target.output || 0) + usage.output;
+        target.thinking = (target.thinking || 0) + usage.thinking;
+        target.cost = (target.cost || 0) + cost;
+        return target;
+    }
+
+    function loadUsageStats() {
+        var stats = GM_getValue("usageStats", null);
+        return stats && stats.days ? stats : { days: {} };
+    }
+
+    function recordUsage(settings, provider, model, usage) {
+        var cost = estimateCost(settings, model, usage);
+        var stats = loadUsageStats();
+        var today = localDateKey();
+        stats.days[today] = stats.days[today] || {};
+        stats.days[today][provider] = addUsage(stats.days[today][provider] || {}, usage, cost);
+        var oldest = localDateKey(new Date(Date.now() - USAGE_HISTORY_DAYS * 86400000));
+        Object.keys(stats.days).forEach(function (day) {
+            if (day < oldest) delete stats.days[day];
+        });
+        GM_setValue("usageStats", stats);
+        sessionUsage[provider] = addUsage(sessionUsage[provider] || {}, usage, cost);
+        return cost;
+    }
+
+    // Totals across all providers of a { provider: totals } map
+    function sumUsage(byProvider) {
+        var total = { requests: 0, input: 0, output: 0, thinking: 0, cost: 0 };
+        Object.keys(byProvider).forEach(function (provider) {
+            ["requests", "input", "output", "thinking", "cost"].forEach(function (k) { total[k] += byProvider[provider][k] || 0; });
+        });
+        return total;
+    }
+
+    // Per-provider totals for the days starting with `dayPrefix` ("2026-01-31" or "2026-01")
+    function usageForDays(stats, dayPrefix) {
+        var byProvider = {};
+        Object.keys(stats.days).forEach(function (day) {
+            if (day.indexOf(dayPrefix) !== 0) return;
+            Object.keys(stats.days[day]).forEach(function (provider) {
+                var t = stats.days[day][provider];
+                var acc = byProvider[provider] = byProvider[provider] || { requests: 0, input: 0, output: 0, thinking: 0, cost: 0 };
+                ["requests", "input", "output", "thinking", "cost"].forEach(function (k) { acc[k] += t[k] || 0; });
+            });
+        });
+        return byProvider;
+    }
+
+    function getSpendingStatus(settings) {
+        var stats = loadUsageStats();
+        var today = localDateKey();
+        var day = sumUsage(usageForDays(stats, today)).cost;
+        var month = sumUsage(usageForDays(stats, today.substring(0, 7))).cost;
+        var exceeded = null;
+        if (settings.dailyCapUsd > 0 && day >= settings.dailyCapUsd) exceeded = "daily cap $" + settings.dailyCapUsd;
+        else if (settings.monthlyCapUsd > 0 && month >= settings.monthlyCapUsd) exceeded = "monthly cap $" + settings.monthlyCapUsd;
+        return { day: day, month: month, exceeded: exceeded };
+    }
+
+    function formatTokens(n) {
+        return n >= 1000 ? (n / 1000).toFixed(1) + "k" : String(n);
+    }
+
+    function formatUsage(t) {
+        return t.requests + " req · " + formatTokens(t.input) + " in / " + formatTokens(t.output) + " out" +
+            (t.thinking ? " / " + formatTokens(t.thinking) + " think" : "") + " · $" + t.cost.toFixed(4);
+    }
+
+    function getUsageSummaryLines() {
+        var stats = loadUsageStats();
+        var today = localDateKey();
+        var todayByProvider = usageForDays(stats, today);
+        var lines = [
+            "Session: " + formatUsage(sumUsage(sessionUsage)),
+            "Today: " + formatUsage(sumUsage(todayByProvider)),
+            "This month: " + formatUsage(sumUsage(usageForDays(stats, today.substring(0, 7))))
+        ];
+        Object.keys(todayByProvider).forEach(function (provider) {
+            lines.push("  " + provider + ": " + formatUsage(todayByProvider[provider]));
+        });
+        return lines;
+    }
+
+    // Records the usage of one successful call and adds it to the inspector record
+    function accountUsage(settings, entrySettings, usage, trace) {
+        if (!usage) return;
+        var model = getModelId(entrySettings);
+        var cost = recordUsage(settings, entrySettings.provider, model, usage);
+        if (trace) {
+            trace.usage = trace.usage || normalizeUsage(0, 0, 0);
+            trace.usage.input += usage.input;
+            trace.usage.output += usage.output;
+            trace.usage.thinking += usage.thinking;
+            trace.cost = (trace.cost || 0) + cost;
+        }
+        refreshIndicatorTooltip();
+    }
+
+    // === LOCAL DATABASE (IndexedDB) ===
+    const IDB_NAME = "pax-ai-hook";
+    const IDB_VERSION = 2;
+    const IDB_STORES = {
+        responses: { keyPath: "key", indexes: ["createdAt"] },
+        fixtures: { keyPath: "id", autoIncrement: true, indexes: ["set"] }
+    };
+    var idbPromise = null;
+
+    function openDatabase() {
+        if (idbPromise) return idbPromise;
+        idbPromise = new Promise(function (resolve, reject) {
+            var req = indexedDB.open(IDB_NAME, IDB_VERSION);
+            req.onupgradeneeded = function () {
+                var db = req.result;
+                Object.keys(IDB_STORES).forEach(function (name) {
+                    if (db.objectStoreNames.contains(name)) return;
+                    var store = db.createObjectStore(name, { keyPath: IDB_STORES[name].keyPath, autoIncrement: !!IDB_STORES[name].autoIncrement });
+                    IDB_STORES[name].indexes.forEach(function (index) { store.createIndex(index, index); });
+                });
+            };
+            req.onsuccess = function () { resolve(req.result); };
+            req.onerror = function () {
+                idbPromise = null;
+                reject(req.error || new Error("IndexedDB unavailable"));
+            };
+        });
+        return idbPromise;
+    }
+
+    function idbRequest(req) {
+        return new Promise(function (resolve, reject) {
+            req.onsuccess = function () { resolve(req.result); };
+            req.onerror = function () { reject(req.error); };
+        });
+    }
+
+    // Runs `fn(store)` in a transaction and resolves with its result once the transaction completes
+    function withStore(name, mode, fn) {
+        return openDatabase().then(function (db) {
+            return new Promise(function (resolve, reject) {
+                var tx = db.transaction(name, mode);
+                var result;
+                Promise.resolve(fn(tx.objectStore(name))).then(function (value) { result = value; }, reject);
+                tx.oncomplete = function () { resolve(result); };
+                tx.onerror = function () { reject(tx.error); };
+                tx.onabort = function () { reject(tx.error || new Error("Transaction aborted")); };
+            });
+        });
+    }
+
+    // === RESPONSE CACHE ===
+    // Cleaned bodies keyed on a SHA-256 of provider, model, prompt, schema and generation settings.
+    async function sha256Hex(text) {
+        var digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest)).map(function (b) { return b.toString(16).padStart(2, "0"); }).join("");
+    }
+
+    // Everything besides the prompt that changes what the model answers
+    function getGenerationFingerprint(entrySettings, request) {
+        var fingerprint = { structured: request.isAction && !!request.gameSchema, params: resolveGenerationParams(entrySettings, request) };
+        if (entrySettings.provider === "google" || (entrySettings.provider === "anthropic" && isReasoningEnabled(entrySettings))) {
+            fingerprint.thinkingBudget = entrySettings.thinkingBudget;
+        }
+        if (fingerprint.structured && usesStructuredOutputModes(entrySettings.provider)) {
+            var mode = getStructuredOutputMode(entrySettings);
+            if (mode !== "json_schema") fingerprint.structuredMode = mode;
+        }
+        if (getReasoningLevel(entrySettings) !== "default") {
+            fingerprint.reasoning = getReasoningLevel(entrySettings);
+        }
+        var parts = buildPromptParts(entrySettings, request);
+        if (parts.template) {
+            fingerprint.system = parts.system;
+            fingerprint.user = parts.user;
+        }
+        return fingerprint;
+    }
+
+    function getCacheKey(entrySettings, request) {
+        return sha256Hex(JSON.stringify({
+            provider: entrySettings.provider,
+            model: getModelId(entrySettings),
+            prompt: request.prompt,
+            schema: request.gameSchema || null,
+            generation: getGenerationFingerprint(entrySettings, request)
+        }));
+    }
+
+    function isCacheableRequest(settings, request) {
+        if (!settings.cacheEnabled) return false;
+        if (!request.isAction && settings.cacheSkipChat) return false;
+        return (settings.cacheStages || "*").split(",").some(function (pattern) {
+            return matchesPattern(pattern.trim(), request.promptStage);
+        });
+    }
+
+    async function cacheGet(settings, key) {
+        var entry = await withStore("responses", "readonly", function (store) {
+            return idbRequest(store.get(key));
+        });
+        if (!entry) return null;
+        var maxAge = (Number(settings.cacheMaxAgeHours) || 0) * 3600000;
+        if (maxAge && Date.now() - entry.createdAt > maxAge) {
+            await withStore("responses", "readwrite", function (store) { store.delete(key); });
+            return null;
+        }
+        return entry;
+    }
+
+    // Stores the entry, then drops the oldest ones beyond settings.cacheMaxEntries
+    async function cachePut(settings, entry) {
+        var maxEntries = Math.max(1, parseInt(settings.cacheMaxEntries, 10) || DEFAULTS.cacheMaxEntries);
+        await withStore("responses", "readwrite", function (store) {
+            store.put(entry);
+            var countReq = store.count();
+            countReq.onsuccess = function () {
+                var excess = countReq.result - maxEntries;
+                if (excess <= 0) return;
+                var cursorReq = store.index("createdAt").openCursor();
+                cursorReq.onsuccess = function () {
+                    var cursor = cursorReq.result;
+                    if (!cursor || excess <= 0) return;
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+            };
+        });
+    }
+
+    function cacheClear() {
+        return withStore("responses", "readwrite", function (store) { store.clear(); });
+    }
+
+    function cacheCount() {
+        return withStore("responses", "readonly", function (store) { return idbRequest(store.count()); });
+    }
+
+    // Cached answer of one chain entry (the one about to be called), so a fallback's old answer
+    // is never served while the entries before it are healthy. Cache failures never block a request.
+    async function lookupCachedAnswer(settings, entry, index, request) {
+        if (!isCacheableRequest(settings, request) || entry.provider === "fixture") return null;
+        var entrySettings = settingsForEntry(settings, entry);
+        try {
+            var key = await getCacheKey(entrySettings, request);
+            var hit = await cacheGet(settings, key);
+            if (!hit) return null;
+            console.log("%c[PAX AI] Cache hit: " + entry.provider + " | " + getModelLabel(entrySettings), "color: lime");
+            return { text: hit.text, body: hit.body, violations: [], repairs: 0, cached: true, entry: entry, index: index, provider: entry.provider, model: getModelId(entrySettings) };
+        } catch (e) {
+            console.warn("[PAX AI] Response cache unavailable:", e.message || e);
+            return null;
+        }
+    }
+
+    function storeCachedAnswer(settings, entrySettings, request, answer) {
+        if (!isCacheableRequest(settings, request) || answer.violations.length || entrySettings.provider === "fixture") return;
+        getCacheKey(entrySettings, request).then(function (key) {
+            return cachePut(settings, {
+                key: key,
+                createdAt: Date.now(),
+                provider: entrySettings.provider,
+                model: getModelId(entrySettings),
+                promptStage: request.promptStage,
+                text: answer.text,
+                body: answer.body
+            });
+        }).catch(function (e) {
+            console.warn("[PAX AI] Could not store response in cache:", e.message || e);
+        });
+    }
+
+    // === FIXTURES (record/replay) ===
+    // Recorded request/response pairs, grouped in named sets. The "fixture" provider answers from
+    // them instead of calling a model; the raw text still goes through the normal cleanup.
+    const FIXTURE_EXPORT_FORMAT = "pax-ai-hook-fixtures";
+
+    function recordFixture(settings, request, answer) {
+        if (!settings.recordFixtures || answer.provider === "fixture") return;
+        withStore("fixtures", "readwrite", function (store) {
+            store.add({
+                set: settings.fixtureSet || DEFAULTS.fixtureSet,
+                createdAt: Date.now(),
+                promptStage: request.promptStage,
+                schemaName: request.gameSchema && request.gameSchema.name || "",
+                prompt: request.prompt,
+                text: answer.text,
+                provider: answer.provider,
+                model: answer.model
+            });
+        }).then(function () {
+            console.log("%c[PAX AI] Recorded fixture in set \"" + (settings.fixtureSet || DEFAULTS.fixtureSet) + "\"", "color: gray");
+        }).catch(function (e) {
+            console.warn("[PAX AI] Could not record fixture:", e.message || e);
+        });
+    }
+
+    function loadFixtures(set) {
+        return withStore("fixtures", "readonly", function (store) {
+            return idbRequest(store.index("set").getAll(set));
+        });
+    }
+
+    function deleteFixtureSet(set) {
+        return withStore("fixtures", "readwrite", function (store) {
+            var cursorReq = store.index("set").openCursor(set);
+            cursorReq.onsuccess = function () {
+                var cursor = cursorReq.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    }
+
+    function importFixtures(fixtures, set) {
+        return withStore("fixtures", "readwrite", function (store) {
+            fixtures.forEach(function (fixture) {
+                var copy = Object.assign({}, fixture, { set: set });
+                delete copy.id;
+                store.add(copy);
+            });
+        });
+    }
+
+    function promptTokens(text) {
+        var tokens = {};
+        (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).forEach(function (t) { tokens[t] = true; });
+        return tokens;
+    }
+
+    // Jaccard similarity of the word sets of two prompts (0..1)
+    function promptSimilarity(a, b) {
+        var ta = promptTokens(a);
+        var tb = promptTokens(b);
+        var shared = 0;
+        var keysA = Object.keys(ta);
+        var keysB = Object.keys(tb);
+        keysA.forEach(function (t) { if (tb[t]) shared++; });
+        var union = keysA.length + keysB.length - shared;
+        return union === 0 ? 1 : shared / union;
+    }
+
+    function createFixtureMiss(message) {
+        var err = new Error("Fixture miss: " + message);
+        err.noGameFallback = true;
+        return err;
+    }
+
+    // Provider call for "fixture": exact prompt match first (newest recording wins),
+    // then the most similar prompt of the same promptStage and schema when fuzzy matching is on.
+    async function callFixtureProvider(settings, request) {
+        var set = settings.fixtureSet || DEFAULTS.fixtureSet;
+        var schemaName = request.gameSchema && request.gameSchema.name || "";
+        var fixtures = (await loadFixtures(set)).filter(function (f) {
+            return f.promptStage === request.promptStage && f.schemaName === schemaName;
+        });
+        if (fixtures.length === 0) {
+            throw createFixtureMiss("set \"" + set + "\" has no recordings for promptStage \"" + request.promptStage + "\"" + (schemaName ? ", schema \"" + schemaName + "\"" : ""));
+        }
+        fixtures.sort(function (a, b) { return b.createdAt - a.createdAt; });
+        for (var i = 0; i < fixtures.length; i++) {
+            if (fixtures[i].prompt === request.prompt) {
+                console.log("%c[PAX AI] Fixture: exact match #" + fixtures[i].id, "color: cyan");
+                return { text: fixtures[i].text, usage: null };
+            }
+        }
+        if (settings.fixtureMatch !== "fuzzy") {
+            throw createFixtureMiss("no exact prompt match among " + fixtures.length + " recording(s) in set \"" + set + "\"");
+        }
+        var best = null;
+        var bestScore = -1;
+        fixtures.forEach(function (f) {
+            var score = promptSimilarity(f.prompt, request.prompt);
+            if (score > bestScore) { best = f; bestScore = score; }
+        });
+        var minScore = Number(settings.fixtureMinSimilarity) || 0;
+        if (bestScore < minScore) {
+            throw createFixtureMiss("closest recording in set \"" + set + "\" is " + Math.round(bestScore * 100) + "% similar (minimum " + Math.round(minScore * 100) + "%)");
+        }
+        console.log("%c[PAX AI] Fixture: fuzzy match #" + best.id + " (" + Math.round(bestScore * 100) + "% similar)", "color: cyan");
+        return { text: best.text, usage: null };
+    }
+
+    function exportFixtureSet(set) {
+        return loadFixtures(set).then(function (fixtures) {
+            var doc = { format: FIXTURE_EXPORT_FORMAT, version: 1, set: set, exportedAt: new Date().toISOString(), fixtures: fixtures };
+            downloadFile("pax-ai-fixtures-" + set + ".json", JSON.stringify(doc, null, 2), "application/json");
+            return fixtures.length;
+        });
+    }
+
+    function downloadFile(filename, content, type) {
+        var link = document.createElement("a");
+        link.href = URL.createObjectURL(new Blob([content], { type: type }));
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        setTimeout(function () {
+            URL.revokeObjectURL(link.href);
+            link.remove();
+        }, 1000);
+    }
+
+    // === TIMEOUTS ===
+    // Per-provider overrides in text form (one per line): "provider = connect/total" in seconds.
+    // A value of 0 disables that timeout.
+    function parseProviderTimeouts(text) {
+        var timeouts = {};
+        (text || "").split("\n").forEach(function (line) {
+            line = line.trim();
+            if (!line || line.charAt(0) === "#") return;
+            var m = line.match(/^([\w-]+)\s*=\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+            if (!m || !isKnownProvider(m[1].toLowerCase())) {
+                console.warn("[PAX AI] Ignoring invalid timeout override: " + line);
+                return;
+            }
+            timeouts[m[1].toLowerCase()] = { connect: parseFloat(m[2]), total: parseFloat(m[3]) };
+        });
+        return timeouts;
+    }
+
+    function formatProviderTimeouts(timeouts) {
+        return Object.keys(timeouts || {}).map(function (provider) {
+            return provider + " = " + timeouts[provider].connect + "/" + timeouts[provider].total;
+        }).join("\n");
+    }
+
+    // Milliseconds for one provider: { connectTimeout, timeout }
+    function getRequestTimeouts(settings, provider) {
+        var override = (settings.providerTimeouts || {})[provider];
+        var connect = override ? override.connect : settings.connectTimeoutSec;
+        var total = override ? override.total : settings.totalTimeoutSec;
+        return {
+            connectTimeout: Math.max(0, Number(connect) || 0) * 1000,
+            timeout: Math.max(0, Number(total) || 0) * 1000
+        };
+    }
+
+    function createAbortError() {
+        var err = new Error("Request aborted");
+        err.name = "AbortError";
+        return err;
+    }
+
+    function createTimeoutError(kind, url, ms) {
+        var err = new Error("Timeout: " + kind + " to " + url + " exceeded " + (ms / 1000) + "s");
+        err.name = "TimeoutError";
+        return err;
+    }
+
+    function isAbortError(e) {
+        return !!e && e.name === "AbortError";
+    }
+
+    // === RETRY POLICY ===
+    // Transient failures (timeouts, network errors, rate limits, 5xx) are retried with jittered
+    // exponential backoff, or after the wait the provider asks for (Retry-After, rate limit reset
+    // headers, "try again in 7s"). Errors that a retry cannot fix fail at once with a hint.
+    const RETRY_DELAY_MS = 1000;
+    const RETRYABLE_ERROR_KINDS = ["timeout", "network", "rate", "server"];
+    const PERMANENT_ERROR_HINTS = {
+        auth: "API key rejected - check the key in the settings",
+        model: "Unknown model or wrong Base URL - check the model in the settings",
+        context: "Prompt too long for the model - use the context budget or a model with a larger context",
+        quota: "Quota or credits used up"
+    };
+
+    // Error from a provider's HTTP response: keeps the status, headers and the provider's error code
+    function createApiError(message, result) {
+        var err = new Error(message);
+        err.status = result.status;
+        err.headers = result.headers || {};
+        var data = result.data;
+        if (data === undefined) {
+            try { data = JSON.parse(result.text); } catch (e) { data = null; }
+        }
+        var detail = data && data.error;
+        if (detail && typeof detail === "object") {
+            // OpenAI: code/type, Google: status ("UNAUTHENTICATED"), Anthropic: type
+            err.code = [detail.code, detail.status, detail.type].filter(function (v) { return typeof v === "string" && v; })[0] || "";
+        }
+        return err;
+    }
+
+    // "timeout", "network", "rate", "server", "auth", "model", "context", "quota", "aborted" or "other"
+    function classifyError(e) {
+        if (isAbortError(e)) return "aborted";
+        if (e && e.name === "TimeoutError") return "timeout";
+        if (e && e.name === "NetworkError") return "network";
+        var status = e && (e.status || (e.response && e.response.status));
+        var code = String(e && e.code || "").toLowerCase();
+        var msg = (e && e.message || "").toLowerCase();
+        var limit = getRateLimitKind(e);
+        if (limit) return limit;
+        if (code === "context_length_exceeded" || status === 413 || /context length|context_length|maximum context|context window|prompt is too long|too many tokens|reduce the length/.test(msg)) return "context";
+        if (status === 401 || /invalid_api_key|authentication_error|unauthenticated|permission_denied/.test(code) ||
+            /api key not valid|invalid api key|incorrect api key|invalid x-api-key|api_key_invalid/.test(msg)) return "auth";
+        if (status === 403) return "auth";
+        if (status === 404 || /model_not_found|not_found_error|not_found/.test(code) ||
+            /model\b.*\b(not found|does not exist)|unknown model|invalid model|no such model/.test(msg)) return "model";
+        if (status === 408 || (status >= 500 && status < 600)) return "server";
+        return "other";
+    }
+
+    // Milliseconds from "120", "7.5s", "1m30s", "250ms", an epoch or an HTTP/ISO date; null if unreadable
+    function parseWaitMs(value, now) {
+        value = String(value || "").trim();
+        if (!value) return null;
+        if (/^\d+(\.\d+)?$/.test(value)) {
+            var n = parseFloat(value);
+            if (n > 1e12) return n - now;            // epoch milliseconds (OpenRouter)
+            if (n > 1e9) return n * 1000 - now;      // epoch seconds
+            return n * 1000;
+        }
+        var m = /^(?:([\d.]+)h)?(?:([\d.]+)m(?!s))?(?:([\d.]+)s)?(?:([\d.]+)ms)?$/.exec(value);
+        if (m && (m[1] || m[2] || m[3] || m[4])) {
+            return (parseFloat(m[1] || 0) * 3600 + parseFloat(m[2] || 0) * 60 + parseFloat(m[3] || 0)) * 1000 + parseFloat(m[4] || 0);
+        }
+        var date = Date.parse(value);
+        return isNaN(date) ? null : date - now;
+    }
+
+    // How long the provider asked to wait before the next call, in ms, or null when it did not say.
+    // Reset headers count only when their "remaining" counterpart is exhausted (or absent).
+    function getRetryAfterMs(e) {
+        var headers = e && e.headers || {};
+        var now = Date.now();
+        var wait = headers["retry-after-ms"] ? parseFloat(headers["retry-after-ms"]) : parseWaitMs(headers["retry-after"], now);
+        if (wait === null && (e.status === 429 || getRateLimitKind(e))) {
+            Object.keys(headers).forEach(function (name) {
+                if (!/ratelimit/.test(name) || !/reset/.test(name)) return;
+                var remaining = headers[name.replace("reset", "remaining")];
+                if (remaining !== undefined && Number(remaining) > 0) return;
+                var ms = parseWaitMs(headers[name], now);
+                if (ms !== null && (wait === null || ms > wait)) wait = ms;
+            });
+        }
+        if (wait === null) {
+            var match = /(?:try again in|retry in|retrydelay"?\s*:\s*"?)\s*([\d.]+)\s*(ms|s)/i.exec(e && e.message || "");
+            if (match) wait = parseFloat(match[1]) * (match[2].toLowerCase() === "ms" ? 1 : 1000);
+        }
+        return wait === null || isNaN(wait) ? null : Math.max(0, Math.ceil(wait));
+    }
+
+    // { retries, maxWaitMs } from the settings
+    function getRetryPolicy(settings) {
+        var retries = parseInt(settings && settings.retryCount, 10);
+        var maxWait = parseFloat(settings && settings.retryMaxWaitSec);
+        return {
+            retries: Math.max(0, isNaN(retries) ? DEFAULTS.retryCount : retries),
+            maxWaitMs: Math.max(0, isNaN(maxWait) ? DEFAULTS.retryMaxWaitSec : maxWait) * 1000
+        };
+    }
+
+    // Exponential backoff with "equal jitter": between half and all of the doubled delay
+    function getBackoffMs(attempt) {
+        var backoff = RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    function delay(ms, signal) {
+        return new Promise(function (resolve, reject) {
+            if (signal && signal.aborted) return reject(createAbortError());
+            var timer = setTimeout(function () {
+                if (signal) signal.removeEventListener("abort", onAbort);
+                resolve();
+            }, ms);
+            function onAbort() {
+                clearTimeout(timer);
+                reject(createAbortError());
+            }
+            if (signal) signal.addEventListener("abort", onAbort, { once: true });
+        });
+    }
+
+    async function withRetry(asyncFn, signal, onRetry, policy) {
+        policy = policy || getRetryPolicy(DEFAULTS);
+        for (var attempt = 1; ; attempt++) {
+            if (signal && signal.aborted) throw createAbortError();
+            try {
+                return await asyncFn();
+            } catch (e) {
+                var kind = classifyError(e);
+                if (PERMANENT_ERROR_HINTS[kind] && !e.permanent) {
+                    e.permanent = kind;
+                    e.message = PERMANENT_ERROR_HINTS[kind] + ". " + e.message;
+                    console.warn("[PAX AI] Not retrying (" + kind + "): " + e.message);
+                }
+                if (attempt > policy.retries || RETRYABLE_ERROR_KINDS.indexOf(kind) === -1) throw e;
+                var wait = getRetryAfterMs(e);
+                if (wait !== null && wait > policy.maxWaitMs) {
+                    e.message += " (provider asked to wait " + formatCooldown(wait) + ", more than the " + formatCooldown(policy.maxWaitMs) + " retry limit)";
+                    throw e;
+                }
+                // A little jitter on the provider's wait too, so parallel requests do not return together
+                wait = wait !== null ? wait + Math.round(Math.random() * Math.min(1000, wait * 0.1)) : Math.min(getBackoffMs(attempt), policy.maxWaitMs);
+                console.warn("[PAX AI] Retry " + attempt + "/" + policy.retries + " in " + wait + "ms:", e.message || e);
+                if (onRetry) onRetry(e, attempt);
+                await delay(wait, signal);
+            }
+        }
+    }
+
+    // === CORS-FREE HTTP CLIENT (for external/local APIs) ===
+    // options.signal aborts the request; options.connectTimeout (ms until response headers)
+    // and options.timeout (ms for the whole request) reject with a TimeoutError. 0 = no limit.
+    // Resolves with { ok, status, data, text, headers } where header names are lower case.
+    function createNetworkError(url) {
+        var err = new Error("Network error: " + url);
+        err.name = "NetworkError";
+        return err;
+    }
+
+    // GM_xmlhttpRequest gives the headers as one "Name: value\r\n" string
+    function parseResponseHeaders(raw) {
+        var headers = {};
+        String(raw || "").split(/\r?\n/).forEach(function (line) {
+            var idx = line.indexOf(":");
+            if (idx > 0) headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+        });
+        return headers;
+    }
+
+    function fetchApi(url, options) {
+        return new Promise(function (resolve, reject) {
+            const method = options?.method || "GET";
+            const body = options?.body ? JSON.stringify(options.body) : undefined;
+            const headers = options?.headers || {};
+            const signal = options?.signal;
+            if (body && !headers["Content-Type"]) headers["Content-Type"] = "application/json";
+
+            if (signal && signal.aborted) return reject(createAbortError());
+            var settled = false;
+            var connectTimer = null;
+            function finish() {
+                settled = true;
+                if (connectTimer) clearTimeout(connectTimer);
+                if (signal) signal.removeEventListener("abort", onAbort);
+            }
+            function fail(err) {
+                if (settled) return;
+                finish();
+                reject(err);
+            }
+            function onAbort() {
+                fail(createAbortError());
+                if (handle && handle.abort) handle.abort();
+            }
+
+            var handle = GM_xmlhttpRequest({
+                method: method,
+                url: url,
+                headers: headers,
+                data: body,
+                timeout: options?.timeout || 0,
+                onreadystatechange: function (response) {
+                    if (connectTimer && response && response.readyState >= 2) {
+                        clearTimeout(connectTimer);
+                        connectTimer = null;
+                    }
+                },
+                ontimeout: function () {
+                    fail(createTimeoutError("request", url, options.timeout));
+                },
+                onabort: function () {
+                    fail(createAbortError());
+                },
+                onload: function (response) {
+                    if (settled) return;
+                    finish();
+                    const headers = parseResponseHeaders(response.responseHeaders);
+                    try {
+                        const parsed = response.responseText ? JSON.parse(response.responseText) : {};
+                        resolve({
+                            ok: response.status >= 200 && response.status < 300,
+                            status: response.status,
+                            data: parsed,
+                            text: response.responseText,
+                            headers: headers
+                        });
+                    } catch (e) {
+                        resolve({
+                            ok: false,
+                            status: response.status,
+                            data: null,
+                            text: response.responseText,
+                            headers: headers
+                        });
+                    }
+                },
+                onerror: function () {
+                    fail(createNetworkError(url));
+                }
+            });
+
+            if (signal) signal.addEventListener("abort", onAbort, { once: true });
+            if (options?.connectTimeout) {
+                connectTimer = setTimeout(function () {
+                    fail(createTimeoutError("connection", url, options.connectTimeout));
+                    if (handle && handle.abort) handle.abort();
+                }, options.connectTimeout);
+            }
+        });
+    }
+
+    // Same limits as fetchApi, for calls that go through the page's fetch (Google)
+    async function fetchWithTimeouts(url, init, transport) {
+        transport = transport || {};
+        var controller = new AbortController();
+        var signal = transport.signal;
+        var timeoutError = null;
+        function onAbort() { controller.abort(); }
+        function startTimer(kind, ms) {
+            if (!ms) return null;
+            return setTimeout(function () {
+                timeoutError = createTimeoutError(kind, url.split("?")[0], ms);
+                controller.abort();
+            }, ms);
+        }
+        if (signal && signal.aborted) throw createAbortError();
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+        var connectTimer = startTimer("connection", transport.connectTimeout);
+        var totalTimer = startTimer("request", transport.timeout);
+        try {
+            var response = await originalFetch(url, Object.assign({}, init, { signal: controller.signal }));
+            clearTimeout(connectTimer);
+            var text = await response.text();
+            var headers = {};
+            response.headers.forEach(function (value, name) { headers[name.toLowerCase()] = value; });
+            return { ok: response.ok, status: response.status, text: text, headers: headers };
+        } catch (e) {
+            if (timeoutError) throw timeoutError;
+            if (controller.signal.aborted) throw createAbortError();
+            // fetch rejects with a TypeError when the connection fails
+            if (e instanceof TypeError) throw createNetworkError(url.split("?")[0]);
+            throw e;
+        } finally {
+            clearTimeout(connectTimer);
+            clearTimeout(totalTimer);
+            if (signal) signal.removeEventListener("abort", onAbort);
+        }
+    }
+
+    function getModelId(settings) {
+        var def = getProviderDef(settings.provider);
+        if (!def) return "";
+        if (def.custom) return (settings.customModels || {})[def.id] || def.defaultModel;
+        return settings[def.modelKey] || "";
+    }
+
+    // Writes the model of `provider` into a settings copy
+    function setModelId(settings, provider, model) {
+        var def = getProviderDef(provider);
+        if (!def) return;
+        if (def.custom) {
+            settings.customModels = Object.assign({}, settings.customModels);
+            settings.customModels[provider] = model;
+        } else {
+            settings[def.modelKey] = model;
+        }
+    }
+
+    function getModelLabel(settings) {
+        var def = getProviderDef(settings.provider);
+        if (!def) return "?";
+        if (def.modelLabel) return def.modelLabel(settings);
+        var model = getModelId(settings);
+        return def.shortModelLabel ? model.split("/").pop() || "?" : model;
+    }
+
+    function getIndicatorLabel(settings) {
+        var label = (isVaultLocked() ? "🔒 " : "") + settings.profileName + " · " + settings.provider.toUpperCase() + " | " + getModelLabel(settings);
+        var rules = settings.routingRules || [];
+        if (rules.length) label += " +" + rules.length + (rules.length === 1 ? " rule" : " rules");
+        if (settings.compareEnabled) label += " · A/B";
+        return label;
+    }
+
+    function getIndicatorTooltip(settings) {
+        var lines = ["Pax AI Hook - Click to open settings"];
+        if (isVaultLocked()) lines.push("API keys are locked; the passphrase is asked on the next request.");
+        if (settings.strictPrivacy) lines.push("Strict privacy: prompts never go to the Pax Historia backend.");
+        var rules = settings.routingRules || [];
+        if (rules.length) {
+            lines.push("", "Routing rules:");
+            rules.forEach(function (rule) { lines.push("  " + formatRoutingRule(rule)); });
+            lines.push("  otherwise => " + settings.provider + ":" + getModelLabel(settings));
+        }
+        if (settings.compareEnabled) {
+            lines.push("", "A/B comparison (" + settings.compareChoice + "): " + (settings.comparePrimary || "provider above") + " vs " + (settings.compareCandidate || "?"));
+        }
+        lines.push("", "Usage:");
+        getUsageSummaryLines().forEach(function (line) { lines.push("  " + line); });
+        var spending = getSpendingStatus(settings);
+        if (spending.exceeded) lines.push("", "Spending cap reached (" + spending.exceeded + "): " + (settings.capAction === "reroute" ? "rerouting to " + settings.capRerouteEntry : "requests blocked"));
+        return lines.join("\n");
+    }
+
+    function refreshIndicatorTooltip() {
+        var existing = document.getElementById("ph-ai-indicator");
+        if (existing) existing.title = getIndicatorTooltip(loadSettings());
+    }
+
+    function isInFooter(el) {
+        if (!el || !el.closest) return false;
+        return !!el.closest("footer, [class*='footer'], [class*='Footer']");
+    }
+
+    function findPaxHistoriaLogo() {
+        var header = document.querySelector("header");
+        if (header && !isInFooter(header)) {
+            var logoLink = header.querySelector('a[href="/games"], a[href^="/games"]');
+            if (logoLink && (logoLink.textContent || "").indexOf("Pax Historia") !== -1) return logoLink;
+        }
+        var mainNav = document.querySelector("nav");
+        if (mainNav && !isInFooter(mainNav)) {
+            var link = mainNav.querySelector('a[href="/games"], a[href^="/games"]');
+            if (link && (link.textContent || "").indexOf("Pax Historia") !== -1) return link;
+        }
+        var containers = document.querySelectorAll("header, nav");
+        for (var c = 0; c < containers.length; c++) {
+            var cont = containers[c];
+            if (isInFooter(cont)) continue;
+            var children = cont.children;
+            for (var i = 0; i < children.length; i++) {
+                var el = children[i];
+                if ((el.textContent || "").indexOf("Pax Historia") !== -1) return el;
+            }
+        }
+        return null;
+    }
+
+    function ensureParentFlex(element) {
+        var parent = element && element.parentNode;
+        if (parent && parent !== document.body) {
+            parent.style.setProperty("display", "flex", "important");
+            parent.style.setProperty("align-items", "center", "important");
+            parent.style.setProperty("gap", "0.5rem", "important");
+        }
+    }
+
+    function insertIndicatorAfterLogo(box, logoElement) {
+        var parent = logoElement.parentNode;
+        if (parent) {
+            if (logoElement.nextElementSibling) {
+                parent.insertBefore(box, logoElement.nextElementSibling);
+            } else {
+                parent.appendChild(box);
+            }
+            ensureParentFlex(box);
+        } else {
+            document.body.appendChild(box);
+        }
+    }
+
+    function createOrUpdateIndicator() {
+        if (!document.body) return;
+        var settings = loadSettings();
         var existing = document.getElementById("ph-ai-indicator");
-        var label = settings.provider.toUpperCase() + " | " + getModelLabel(settings);
+        var label = getIndicatorLabel(settings);
         if (existing) {
             existing.querySelector(".ph-ai-indicator-text").textContent = label;
+            existing.title = getIndicatorTooltip(settings);
             existing.style.background = "rgb(40, 20, 60)";
             existing.style.color = "#fafafa";
             existing.style.position = "";
@@ -351,8 +2891,11 @@
         box.type = "button";
         box.id = "ph-ai-indicator";
         box.className = "ph-ai-indicator-btn";
-        box.innerHTML = '<span class="ph-ai-indicator-text">' + label + '</span>';
-        box.title = "Pax AI Hook - Click to open settings";
+        box.innerHTML = '<span class="ph-ai-indicator-text">' + escapeHtml(label) + '</span>' +
+            '<span class="ph-ai-indicator-profile" title="Switch profile" style="opacity: 0.75;">▾</span>' +
+            '<span class="ph-ai-indicator-queue" title="Requests waiting for a provider slot" style="opacity: 0.75; display: ' + (getQueueDepth() ? 'inline' : 'none') + ';">⏳ ' + getQueueDepth() + '</span>' +
+            '<span class="ph-ai-indicator-inspect" title="Open request inspector" style="opacity: 0.75; padding-left: 0.5rem; border-left: 1px solid rgba(255,255,255,0.3);">▤ ' + inspectorHistory.length + '</span>';
+        box.title = getIndicatorTooltip(settings);
         var indicatorBg = "rgb(40, 20, 60)";
         var indicatorHover = "rgb(56, 32, 84)";
         Object.assign(box.style, {
@@ -374,7 +2917,13 @@
         box.addEventListener("click", function (e) {
             e.preventDefault();
             e.stopPropagation();
-            createSettingsModal();
+            if (e.target && e.target.closest && e.target.closest(".ph-ai-indicator-inspect")) {
+                createInspectorPanel();
+            } else if (e.target && e.target.closest && e.target.closest(".ph-ai-indicator-profile")) {
+                toggleProfileMenu(box);
+            } else {
+                createSettingsModal();
+            }
         });
         box.addEventListener("mouseenter", function () {
             box.style.backgroundColor = indicatorHover;
@@ -398,6 +2947,56 @@
         }
     }
 
+    // Small dropdown under the indicator listing the profiles
+    // Closes the open profile menu and its outside-click listener; null while no menu is open
+    var closeProfileMenu = null;
+
+    function toggleProfileMenu(anchor) {
+        if (closeProfileMenu) {
+            closeProfileMenu();
+            return;
+        }
+        var profiles = loadProfiles();
+        var active = getActiveProfileName(profiles);
+        var rect = anchor.getBoundingClientRect();
+        var menu = document.createElement("div");
+        menu.id = "ph-ai-profile-menu";
+        Object.assign(menu.style, {
+            position: "fixed", top: (rect.bottom + 4) + "px", left: rect.left + "px", zIndex: "10002",
+            background: "rgb(40, 20, 60)", color: "#fafafa", borderRadius: "8px", padding: "4px",
+            boxShadow: "0 4px 12px rgba(0,0,0,0.4)", fontSize: "0.875rem", fontFamily: "inherit", minWidth: "160px"
+        });
+        Object.keys(profiles).forEach(function (name) {
+            var item = document.createElement("button");
+            item.type = "button";
+            item.textContent = (name === active ? "✓ " : "   ") + name;
+            Object.assign(item.style, {
+                display: "block", width: "100%", textAlign: "left", padding: "6px 10px", border: "none",
+                background: "transparent", color: "inherit", cursor: "pointer", borderRadius: "4px", whiteSpace: "pre"
+            });
+            item.addEventListener("mouseenter", function () { item.style.background = "rgb(56, 32, 84)"; });
+            item.addEventListener("mouseleave", function () { item.style.background = "transparent"; });
+            item.addEventListener("click", function (e) {
+                e.stopPropagation();
+                closeProfileMenu();
+                if (name !== active) switchProfile(name);
+            });
+            menu.appendChild(item);
+        });
+        document.body.appendChild(menu);
+        // Clicks on the ▾ toggle are left to the indicator's handler, which closes the menu
+        function onDocumentClick(e) {
+            if (menu.contains(e.target) || (e.target.closest && e.target.closest(".ph-ai-indicator-profile"))) return;
+            closeProfileMenu();
+        }
+        closeProfileMenu = function () {
+            menu.remove();
+            document.removeEventListener("click", onDocumentClick, true);
+            closeProfileMenu = null;
+        };
+        document.addEventListener("click", onDocumentClick, true);
+    }
+
     function ensureIndicator() {
         function tryCreate() {
             if (!document.body) return false;
@@ -476,83 +3075,635 @@
         return base.endsWith("/v1") ? base : base + "/v1";
     }
 
-    function callAnthropicApi(settings, finalPrompt, useStructuredOutput, gameSchema) {
-        var url = PROVIDER_URLS.anthropic + "/messages";
-        var body = {
-            model: settings.anthropicModel || DEFAULTS.anthropicModel,
-            max_tokens: 4096,
-            messages: [{ role: "user", content: finalPrompt }]
-        };
+    function callAnthropicApi(settings, promptParts, useStructuredOutput, gameSchema, params, transport) {
+        var target = getProviderTarget(settings);
+        var body = applyGenerationParams({
+            model: target.modelId || DEFAULTS.anthropicModel,
+            max_tokens: params.max_tokens,
+            messages: [{ role: "user", content: promptParts.user }]
+        }, settings, params);
+        if (promptParts.system) body.system = promptParts.system;
+        applyReasoning(body, settings);
         if (useStructuredOutput && gameSchema && gameSchema.schema) {
             body.output_config = {
                 format: { type: "json_schema", schema: gameSchema.schema }
             };
             console.log("%c[PAX AI] Using Anthropic output_config for: " + (gameSchema.name || "unknown"), "color: cyan");
         }
-        var headers = {
-            "Content-Type": "application/json",
-            "x-api-key": settings.apiKey,
-            "anthropic-version": "2023-06-01"
-        };
-        return fetchApi(url, { method: "POST", headers: headers, body: body }).then(function (result) {
+        var headers = Object.assign({ "Content-Type": "application/json" }, target.headers);
+        return fetchApi(target.baseUrl + "/messages" + target.query, Object.assign({ method: "POST", headers: headers, body: body }, transport)).then(function (result) {
             if (!result.ok) {
                 var errMsg = result.data?.error?.message || result.text || "HTTP " + result.status;
-                var err = new Error("Anthropic API Error: " + errMsg);
-                err.status = result.status;
-                throw err;
+                throw createApiError("Anthropic API Error: " + errMsg, result);
             }
             var content = result.data?.content || [];
             var text = "";
+            var thinking = [];
             for (var i = 0; i < content.length; i++) {
                 if (content[i].type === "text" && content[i].text) {
                     text += content[i].text;
+                } else if (content[i].type === "thinking" && content[i].thinking) {
+                    thinking.push(content[i].thinking);
+                }
+            }
+            var usage = result.data?.usage;
+            return {
+                text: text,
+                thinking: thinking.join("\n\n"),
+                usage: usage ? normalizeUsage((usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0), usage.output_tokens, 0) : null
+            };
+        });
+    }
+
+    function callGoogleApi(settings, promptParts, useStructuredOutput, gameSchema, params, transport) {
+        // Key in a header (registry auth "header") rather than "?key=", so it stays out of URLs and logs
+        const target = getProviderTarget(settings);
+        const googleUrl = `${target.baseUrl}/models/${target.modelId}:generateContent${target.query}`;
+        const genConfig = applyGenerationParams(applyReasoning({}, settings), settings, params);
+        if (useStructuredOutput && gameSchema) {
+            genConfig.responseMimeType = "application/json";
+            genConfig.responseSchema = convertSchemaForGoogle(gameSchema);
+            console.log("%c[PAX AI] Using native responseSchema for: " + (gameSchema.name || "unknown"), "color: cyan");
+        }
+        const googlePayload = {
+            contents: [{ parts: [{ text: promptParts.user }] }],
+            generationConfig: genConfig
+        };
+        if (promptParts.system) googlePayload.systemInstruction = { parts: [{ text: promptParts.system }] };
+        return fetchWithTimeouts(googleUrl, {
+            method: "POST",
+            headers: Object.assign({ "Content-Type": "application/json" }, target.headers),
+            body: JSON.stringify(googlePayload)
+        }, transport).then(function (myResponse) {
+            if (!myResponse.ok) {
+                throw createApiError("Google API Error: " + myResponse.text, myResponse);
+            }
+            const myJson = JSON.parse(myResponse.text);
+            const parts = myJson.candidates?.[0]?.content?.parts || [];
+            const meta = myJson.usageMetadata;
+            const usage = meta ? normalizeUsage(meta.promptTokenCount, meta.candidatesTokenCount, meta.thoughtsTokenCount) : null;
+            // Thought summaries are flagged with `thought`; the answer is the last other text part
+            const thinking = parts.filter(function (part) { return part.thought && part.text; }).map(function (part) { return part.text; }).join("\n\n");
+            for (let i = parts.length - 1; i >= 0; i--) {
+                if (parts[i].text && !parts[i].thought) return { text: parts[i].text, thinking: thinking, usage: usage };
+            }
+            return { text: "", thinking: thinking, usage: usage };
+        });
+    }
+
+    function callOpenAICompatibleApi(settings, promptParts, useStructuredOutput, gameSchema, params, transport) {
+        var target = getProviderTarget(settings);
+        var messages = [{ role: "user", content: promptParts.user }];
+        if (promptParts.system) messages.unshift({ role: "system", content: promptParts.system });
+        var payload = applyGenerationParams({
+            model: target.modelId,
+            messages: messages
+        }, settings, params);
+        applyReasoning(payload, settings);
+        var mode = useStructuredOutput && gameSchema ? getStructuredOutputMode(settings) : null;
+        if (mode) {
+            applyStructuredOutput(payload, mode, gameSchema);
+            console.log("%c[PAX AI] Using " + mode + " structured output for: " + (gameSchema.name || "unknown"), "color: cyan");
+        }
+        var headers = Object.assign({ "Content-Type": "application/json" }, target.headers);
+
+        return fetchApi(target.baseUrl + "/chat/completions" + target.query, Object.assign({
+            method: "POST",
+            headers: headers,
+            body: payload
+        }, transport)).then(function (result) {
+            if (!result.ok) {
+                var errMsg = result.data?.error?.message || result.text || "HTTP " + result.status;
+                var err = createApiError(settings.provider + " API Error: " + errMsg, result);
+                if (mode && mode !== "prompt" && isStructuredOutputRejection(err)) err.structuredOutputMode = mode;
+                throw err;
+            }
+            var usage = result.data?.usage;
+            var reasoning = usage?.completion_tokens_details?.reasoning_tokens || 0;
+            var message = result.data?.choices?.[0]?.message || {};
+            var toolCall = mode === "tool" ? message.tool_calls?.[0]?.function : null;
+            var answer = splitThinkTags(toolCall && toolCall.arguments || message.content || "");
+            // OpenRouter and Groq return reasoning separately; DeepSeek-style servers as reasoning_content
+            var thinking = [message.reasoning || message.reasoning_content || "", answer.thinking].filter(Boolean).join("\n\n");
+            return {
+                text: answer.text,
+                thinking: thinking,
+                usage: usage ? normalizeUsage(usage.prompt_tokens, (usage.completion_tokens || 0) - reasoning, reasoning) : null
+            };
+        });
+    }
+
+    // Single provider call (no retries). `settings` is already resolved for the entry.
+    // Resolves with { text, thinking, usage } where usage is { input, output, thinking } or null.
+    // Provider errors can echo request details back, so their messages are scrubbed here
+    function callProvider(settings, request) {
+        return dispatchProviderCall(settings, request).catch(function (e) {
+            throw scrubError(e);
+        });
+    }
+
+    // Request/response adapters by the registry's "api"
+    const PROVIDER_ADAPTERS = {
+        google: callGoogleApi,
+        anthropic: callAnthropicApi,
+        openai: callOpenAICompatibleApi
+    };
+
+    function dispatchProviderCall(settings, request) {
+        var useStructuredOutput = request.isAction && !!request.gameSchema;
+        var def = getProviderDef(settings.provider);
+        if (!def) return Promise.reject(new Error("Unknown provider: " + settings.provider));
+        if (def.api === 'fixture') {
+            return callFixtureProvider(settings, request);
+        }
+        var transport = getRequestTimeouts(settings, settings.provider);
+        transport.signal = request.signal;
+        var promptParts = buildPromptParts(settings, request);
+        var params = resolveGenerationParams(settings, request);
+        // Anthropic always needs an answer limit; others get the reservation once the context length is known
+        if (params.max_tokens === undefined) {
+            if (def.api === 'anthropic') params.max_tokens = getOutputReserve(settings, request);
+            else if (settings.maxOutputTokens && def.api !== 'google') params.max_tokens = settings.maxOutputTokens;
+        }
+        if (settings.provider === 'ollama' && settings.ollamaNativeApi) {
+            return callOllamaNativeApi(settings, promptParts, useStructuredOutput, request.gameSchema, params, transport);
+        }
+        var call = PROVIDER_ADAPTERS[def.api](settings, promptParts, useStructuredOutput, request.gameSchema, params, transport);
+        if (def.api !== 'openai') return call;
+        return call.catch(function (e) {
+            if (!e.structuredOutputMode) throw e;
+            learnWeakerMode(settings, e.structuredOutputMode, request);
+            return dispatchProviderCall(settings, request);
+        });
+    }
+
+    function buildRepairPrompt(originalPrompt, previousOutput, violations) {
+        return originalPrompt +
+            "\n\n---\nYour previous response did not match the required JSON schema." +
+            "\n\nPrevious response:\n" + previousOutput +
+            "\n\nSchema violations:\n" + violations.map(function (v) { return "- " + v.path + ": " + v.message; }).join("\n") +
+            "\n\nReply again with the complete corrected JSON only, following the schema exactly.";
+    }
+
+    function logSchemaViolations(violations, attempt) {
+        console.error("[PAX AI] Action JSON failed schema validation (" + violations.length + " violation" +
+            (violations.length === 1 ? "" : "s") + ", attempt " + attempt + "):\n" +
+            violations.map(function (v) { return "  " + v.path + ": " + v.message; }).join("\n"));
+    }
+
+    // Calls one entry (with retries) and turns its output into the game's response body.
+    // Action output that fails the game's schema is sent back to the same provider with the
+    // violations attached, up to settings.repairAttempts times.
+    async function requestWithRepair(settings, entry, entrySettings, request) {
+        // Replayed fixtures would only miss on a changed prompt, so they are never repaired
+        var maxRepairs = request.isAction && request.gameSchema && entrySettings.provider !== "fixture" ? Math.max(0, parseInt(settings.repairAttempts, 10) || 0) : 0;
+        var attemptRequest = request;
+        for (var repair = 0; ; repair++) {
+            var result = await withRetry(function () {
+                return callWithKeyRotation(entrySettings, attemptRequest);
+            }, request.signal, function (e) {
+                if (request.trace) {
+                    request.trace.retries++;
+                    request.trace.errors.push(entrySettings.provider + " (retried): " + (e.message || e));
+                }
+            }, getRetryPolicy(entrySettings));
+            var text = result.text;
+            accountUsage(settings, entrySettings, result.usage, request.trace);
+            // The schema is checked on the exact body the game gets (root wrappers already removed)
+            var body = buildGameResponseBody(cleanModelOutput(text, request.isAction, request.gameSchema), request.isAction);
+            var violations = request.isAction && request.gameSchema ? checkActionOutput(body, request.gameSchema) : [];
+            if (violations.length === 0) {
+                if (repair > 0) console.log("%c[PAX AI] Schema repair succeeded after " + repair + " attempt(s).", "color: lime");
+                return { text: text, thinking: result.thinking || "", body: body, violations: [], repairs: repair };
+            }
+            logSchemaViolations(violations, repair + 1);
+            if (request.trace) request.trace.errors.push("Schema violations (attempt " + (repair + 1) + "): " + violations.map(function (v) { return v.path + " " + v.message; }).join("; "));
+            if (repair >= maxRepairs) {
+                if (maxRepairs > 0) console.error("[PAX AI] Giving up on schema repair after " + repair + " attempt(s); passing the last response to the game.");
+                return { text: text, thinking: result.thinking || "", body: body, violations: violations, repairs: repair };
+            }
+            console.warn("[PAX AI] Asking " + entrySettings.provider + " to repair its JSON (" + (repair + 1) + "/" + maxRepairs + ")");
+            // The repair prompt carries the previous answer too, so it is fitted again
+            attemptRequest = Object.assign({}, request, { prompt: buildRepairPrompt(request.prompt, body, violations) });
+            attemptRequest = (await fitRequestToContext(settings, entry, entrySettings, attemptRequest, false)).request;
+        }
+    }
+
+    // Fits the request to the entry's context (which may reroute it) and calls it.
+    // The answer carries the entry that answered, its provider, model and settings.
+    async function callEntry(settings, entry, request) {
+        var fitted = await fitRequestToContext(settings, entry, settingsForEntry(settings, entry), request, true);
+        if (fitted.entry !== entry && !hasUsableKey(settings, fitted.entry.provider)) {
+            throw new Error("no API key for the context reroute entry " + formatProviderEntry(fitted.entry));
+        }
+        var answer = await requestWithRepair(settings, fitted.entry, fitted.entrySettings, fitted.request);
+        answer.entry = fitted.entry;
+        answer.provider = fitted.entry.provider;
+        answer.model = getModelId(fitted.entrySettings);
+        answer.entrySettings = fitted.entrySettings;
+        return answer;
+    }
+
+    // Walks the primary provider followed by the configured fallback entries.
+    // Resolves with { text, entry, index } from the first entry that answers.
+    async function runProviderChain(settings, request) {
+        var chain = buildProviderChain(settings, request);
+        // The primary's cache is checked before the spending cap: a cached answer costs nothing
+        var cached = await lookupCachedAnswer(settings, chain[0], 0, request);
+        if (cached) return cached;
+        var checked = chain[0];
+        var spending = getSpendingStatus(settings);
+        if (spending.exceeded) {
+            var reroute = settings.capAction === "reroute" ? parseProviderEntry(settings.capRerouteEntry || "") : null;
+            if (!reroute) {
+                throw new Error("Spending cap reached (" + spending.exceeded + "). Request blocked; raise the cap in AI Settings.");
+            }
+            console.warn("[PAX AI] Spending cap reached (" + spending.exceeded + "), rerouting to " + formatProviderEntry(reroute));
+            chain = [reroute];
+        }
+        var failures = [];
+        var noGameFallback = false;
+        for (var i = 0; i < chain.length; i++) {
+            var entry = chain[i];
+            var entrySettings = settingsForEntry(settings, entry);
+            var label = entry.provider + " | " + getModelLabel(entrySettings);
+            if (entry !== checked) {
+                cached = await lookupCachedAnswer(settings, entry, i, request);
+                if (cached) return cached;
+            }
+            if (!hasUsableKey(settings, entry.provider)) {
+                console.warn("[PAX AI] Skipping " + label + ": no API key configured.");
+                failures.push(label + ": no API key");
+                continue;
+            }
+            try {
+                var answer = await callEntry(settings, entry, request);
+                label = answer.provider + " | " + getModelLabel(answer.entrySettings);
+                if (i > 0) {
+                    console.log("%c[PAX AI] Answered by fallback #" + i + ": " + label, "color: orange; font-weight: bold;");
+                } else {
+                    console.log("%c[PAX AI] Answered by " + label, "color: lime");
+                }
+                answer.index = i;
+                storeCachedAnswer(settings, answer.entrySettings, request, answer);
+                recordFixture(settings, request, answer);
+                return answer;
+            } catch (e) {
+                if (isAbortError(e)) throw e;
+                if (e.noGameFallback) noGameFallback = true;
+                failures.push(label + ": " + (e.message || e));
+                if (request.trace) request.trace.errors.push(label + ": " + (e.message || e));
+                if (i < chain.length - 1) {
+                    console.warn("[PAX AI] " + label + " failed, trying next fallback entry:", e.message || e);
+                }
+            }
+        }
+        var failure = new Error("All providers failed. " + failures.join(" || "));
+        failure.noGameFallback = noGameFallback;
+        throw failure;
+    }
+
+    function testOpenAICompatibleConnection(baseUrl, apiKey) {
+        var base = getApiBase(baseUrl);
+        var modelsPath = "/models";
+        var headers = {};
+        if (apiKey) headers["Authorization"] = "Bearer " + apiKey;
+        return fetchApi(base + modelsPath, { headers: headers, timeout: 15000 }).then(function (result) {
+            if (!result.ok) {
+                return {
+                    online: false,
+                    models: [],
+                    error: scrubSecrets(result.text) || "HTTP " + result.status
+                };
+            }
+            var rawData = result.data && result.data.data;
+            if (!Array.isArray(rawData) && Array.isArray(result.data)) {
+                rawData = result.data;
+            }
+            var models = [];
+            if (Array.isArray(rawData)) {
+                var seen = {};
+                for (var i = 0; i < rawData.length; i++) {
+                    var modelId = rawData[i] && (rawData[i].id || rawData[i]);
+                    if (modelId && typeof modelId === "string" && !seen[modelId]) {
+                        seen[modelId] = true;
+                        models.push(modelId);
+                    }
                 }
             }
-            return text;
+            return {
+                online: true,
+                models: models,
+                error: null
+            };
+        }, function (e) {
+            throw scrubError(e);
+        });
+    }
+
+    // === OLLAMA NATIVE API ===
+    // /api/chat instead of the /v1 compatibility layer: the game's schema goes into `format`
+    // (grammar-constrained output), runtime settings into `options` and `keep_alive`.
+    // ollamaOptions holds extra options as { num_gpu: 99, ... }; text form "num_gpu=99, num_thread=8".
+    function getOllamaRoot(settings) {
+        return buildBaseUrl(settings.ollamaBaseUrl || DEFAULTS.ollamaBaseUrl).replace(/\/v1$/, "");
+    }
+
+    // num_ctx the hook sends itself, or 0 (compatibility mode never sends it)
+    function getOllamaNumCtx(settings) {
+        if (settings.provider !== "ollama" || !settings.ollamaNativeApi) return 0;
+        return Math.max(0, parseInt(settings.ollamaNumCtx, 10) || 0);
+    }
+
+    function parseOllamaOptions(text) {
+        var options = {};
+        (text || "").split(/[,\n]/).forEach(function (pair) {
+            pair = pair.trim();
+            if (!pair) return;
+            var m = pair.match(/^(\w+)\s*=\s*(.+)$/);
+            if (!m) {
+                console.warn("[PAX AI] Ignoring invalid Ollama option: " + pair);
+                return;
+            }
+            var value = m[2].trim();
+            options[m[1]] = value === "true" ? true : value === "false" ? false : isNaN(Number(value)) ? value : Number(value);
+        });
+        return options;
+    }
+
+    function formatOllamaOptions(options) {
+        return Object.keys(options || {}).map(function (name) {
+            return name + "=" + options[name];
+        }).join(", ");
+    }
+
+    // "5m", "-1" (keep loaded) or "0" (unload at once); plain numbers are seconds
+    function parseKeepAlive(value) {
+        value = String(value || "").trim();
+        if (!value) return null;
+        return /^-?\d+$/.test(value) ? parseInt(value, 10) : value;
+    }
+
+    function callOllamaNativeApi(settings, promptParts, useStructuredOutput, gameSchema, params, transport) {
+        var messages = [{ role: "user", content: promptParts.user }];
+        if (promptParts.system) messages.unshift({ role: "system", content: promptParts.system });
+        var options = applyGenerationParams(Object.assign({}, settings.ollamaOptions), settings, params);
+        var numCtx = getOllamaNumCtx(settings);
+        if (numCtx) options.num_ctx = numCtx;
+        var payload = applyReasoning({
+            model: settings.ollamaModel || DEFAULTS.ollamaModel,
+            messages: messages,
+            stream: false
+        }, settings);
+        if (Object.keys(options).length) payload.options = options;
+        var keepAlive = parseKeepAlive(settings.ollamaKeepAlive);
+        if (keepAlive !== null) payload.keep_alive = keepAlive;
+        if (useStructuredOutput && gameSchema) {
+            payload.format = gameSchema.schema || gameSchema;
+            console.log("%c[PAX AI] Using Ollama format for: " + (gameSchema.name || "unknown"), "color: cyan");
+        }
+        return fetchApi(getOllamaRoot(settings) + "/api/chat", Object.assign({
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: payload
+        }, transport)).then(function (result) {
+            if (!result.ok) {
+                throw createApiError("ollama API Error: " + (result.data?.error || result.text || "HTTP " + result.status), result);
+            }
+            var message = result.data?.message || {};
+            var answer = splitThinkTags(message.content || "");
+            var usage = result.data && result.data.eval_count !== undefined ? normalizeUsage(result.data.prompt_eval_count, result.data.eval_count, 0) : null;
+            return {
+                text: answer.text,
+                thinking: [message.thinking || "", answer.thinking].filter(Boolean).join("\n\n"),
+                usage: usage
+            };
+        });
+    }
+
+    // Installed models from /api/tags (works in both API modes)
+    function testOllamaConnection(baseUrl) {
+        return fetchApi(getOllamaRoot({ ollamaBaseUrl: baseUrl }) + "/api/tags", { timeout: 15000 }).then(function (result) {
+            if (!result.ok) {
+                return { online: false, models: [], error: scrubSecrets(result.text) || "HTTP " + result.status };
+            }
+            var models = (result.data && Array.isArray(result.data.models) ? result.data.models : []).map(function (m) {
+                return m && (m.name || m.model);
+            }).filter(Boolean);
+            return { online: true, models: models, error: null };
+        }, function (e) {
+            throw scrubError(e);
+        });
+    }
+
+    // === MODEL CATALOG ===
+    // Model listings of each provider, normalized to { id, name, contextLength, inputPrice,
+    // outputPrice (USD per 1M tokens), free, structured, note }; null = the listing does not say.
+    // Cached per provider and base URL in GM "modelCatalogs" = { key: { fetchedAt, models } }.
+    const MODEL_CATALOG_KEY = "modelCatalogs";
+    const MODEL_CATALOG_TTL_MS = 24 * 60 * 60 * 1000;
+    const MODEL_CATALOG_MAX_PAGES = 10;
+    const NON_CHAT_MODEL_TYPES = /embed|image|audio|speech|transcri|rerank|moderation/i;
+
+    function getCatalogKey(settings) {
+        return settings.provider + "|" + (getProviderTarget(settings).baseUrl || "");
+    }
+
+    function getCachedModelCatalog(settings) {
+        var entry = GM_getValue(MODEL_CATALOG_KEY, {})[getCatalogKey(settings)];
+        return entry && Date.now() - entry.fetchedAt < MODEL_CATALOG_TTL_MS ? entry : null;
+    }
+
+    // Resolves with { fetchedAt, models }; `refresh` skips the cache
+    function loadModelCatalog(settings, refresh) {
+        var cached = refresh ? null : getCachedModelCatalog(settings);
+        if (cached) return Promise.resolve(cached);
+        return fetchModelCatalog(settings).then(function (models) {
+            var now = Date.now();
+            var catalogs = GM_getValue(MODEL_CATALOG_KEY, {});
+            Object.keys(catalogs).forEach(function (key) {
+                if (now - catalogs[key].fetchedAt >= MODEL_CATALOG_TTL_MS) delete catalogs[key];
+            });
+            catalogs[getCatalogKey(settings)] = { fetchedAt: now, models: models };
+            GM_setValue(MODEL_CATALOG_KEY, catalogs);
+            return catalogs[getCatalogKey(settings)];
+        });
+    }
+
+    function normalizeCatalogModel(raw) {
+        var id = typeof raw === "string" ? raw : raw && (raw.id || raw.name || raw.model);
+        if (!id || typeof id !== "string") return null;
+        raw = typeof raw === "object" ? raw : {};
+        if (NON_CHAT_MODEL_TYPES.test(raw.type || "")) return null;
+        // OpenRouter prices per token ("prompt"/"completion"), Together per 1M tokens ("input"/"output")
+        var pricing = raw.pricing || {};
+        var inputPrice = null, outputPrice = null;
+        if (pricing.prompt != null) {
+            inputPrice = parseFloat(pricing.prompt) * 1e6;
+            outputPrice = parseFloat(pricing.completion) * 1e6;
+        } else if (pricing.input != null) {
+            inputPrice = parseFloat(pricing.input);
+            outputPrice = parseFloat(pricing.output);
+        }
+        if (!isFinite(inputPrice) || !isFinite(outputPrice)) inputPrice = outputPrice = null;
+        var params = Array.isArray(raw.supported_parameters) ? raw.supported_parameters : null;
+        var details = raw.details || {};
+        return {
+            id: id,
+            name: raw.display_name || raw.displayName || (raw.name !== id && raw.name) || "",
+            contextLength: Number(raw.context_length || raw.context_window || raw.max_context_length || raw.max_model_len || raw.max_input_tokens || raw.inputTokenLimit) || null,
+            inputPrice: inputPrice,
+            outputPrice: outputPrice,
+            free: /:free$/.test(id) || (inputPrice === 0 && outputPrice === 0) ? true : inputPrice !== null ? false : null,
+            structured: params ? params.indexOf("structured_outputs") !== -1 || params.indexOf("response_format") !== -1 : null,
+            note: [details.parameter_size, details.quantization_level].filter(Boolean).join(" ")
+        };
+    }
+
+    // Follows pages until readPage (which collects into `models`) returns no next URL
+    function fetchCatalogPages(url, headers, readPage) {
+        var models = [];
+        function fetchPage(pageUrl, page) {
+            return fetchApi(pageUrl, { headers: headers, timeout: 15000 }).then(function (result) {
+                if (!result.ok) {
+                    var err = new Error(result.data?.error?.message || result.text || "HTTP " + result.status);
+                    err.status = result.status;
+                    throw err;
+                }
+                var next = readPage(result.data || {}, models);
+                return next && page < MODEL_CATALOG_MAX_PAGES ? fetchPage(next, page + 1) : models;
+            });
+        }
+        return fetchPage(url, 1).catch(function (e) {
+            throw scrubError(e);
+        });
+    }
+
+    function fetchModelCatalog(settings) {
+        var def = getProviderDef(settings.provider);
+        if (!def || def.api === "fixture") return Promise.reject(new Error("No model listing for " + settings.provider));
+        var target = getProviderTarget(settings);
+        var collect = function (list, models) {
+            (Array.isArray(list) ? list : []).forEach(function (raw) {
+                var model = normalizeCatalogModel(raw);
+                if (model && !models.some(function (m) { return m.id === model.id; })) models.push(model);
+            });
+        };
+        var listing;
+        if (def.api === "google") {
+            var googleUrl = target.baseUrl + "/models?pageSize=1000" + target.query.replace("?", "&");
+            listing = fetchCatalogPages(googleUrl, target.headers, function (data, models) {
+                collect((data.models || []).filter(function (m) {
+                    return (m.supportedGenerationMethods || []).indexOf("generateContent") !== -1;
+                }).map(function (m) {
+                    return Object.assign({}, m, { id: String(m.name || "").replace(/^models\//, "") });
+                }), models);
+                return data.nextPageToken ? googleUrl + "&pageToken=" + encodeURIComponent(data.nextPageToken) : null;
+            });
+        } else if (def.api === "anthropic") {
+            var anthropicUrl = target.baseUrl + "/models?limit=1000" + target.query.replace("?", "&");
+            listing = fetchCatalogPages(anthropicUrl, target.headers, function (data, models) {
+                collect(data.data, models);
+                return data.has_more && data.last_id ? anthropicUrl + "&after_id=" + encodeURIComponent(data.last_id) : null;
+            });
+        } else if (def.nativeApi) {
+            // Ollama's /api/tags lists what is installed, in both API modes
+            listing = fetchCatalogPages(getOllamaRoot(settings) + "/api/tags", {}, function (data, models) {
+                collect(data.models, models);
+                return null;
+            });
+        } else {
+            listing = fetchCatalogPages(target.baseUrl + "/models" + target.query, target.headers, function (data, models) {
+                collect(Array.isArray(data) ? data : data.data, models);
+                return null;
+            });
+        }
+        return listing.then(function (list) {
+            return list.sort(function (a, b) { return a.id < b.id ? -1 : a.id > b.id ? 1 : 0; });
         });
     }
 
-    function testOpenAICompatibleConnection(baseUrl, apiKey) {
-        var base = getApiBase(baseUrl);
-        var modelsPath = "/models";
+    // Listing metadata when present, else what this script would send the model
+    function isStructuredCatalogModel(settings, model) {
+        if (model.structured !== null) return model.structured;
+        var def = getProviderDef(settings.provider);
+        if (def.api === "google") return !/^gemma/i.test(model.id);
+        if (def.api !== "openai") return def.api === "anthropic";
+        var probe = Object.assign({}, settings);
+        setModelId(probe, settings.provider, model.id);
+        return getStructuredOutputMode(probe) !== "prompt";
+    }
+
+    function formatCatalogModel(settings, model) {
+        var parts = [model.id];
+        if (model.contextLength) parts.push(Math.round(model.contextLength / 1000) + "k ctx");
+        if (model.free) parts.push("free");
+        else if (model.inputPrice !== null) parts.push("$" + +model.inputPrice.toFixed(3) + "/$" + +model.outputPrice.toFixed(3));
+        if (isStructuredCatalogModel(settings, model)) parts.push("JSON");
+        if (model.note) parts.push(model.note);
+        return parts.join(" · ");
+    }
+
+    // The model is missing from its provider's cached listing, e.g. a typo; false without a listing
+    function isUnlistedModel(settings) {
+        var model = getModelId(settings);
+        var cached = model ? getCachedModelCatalog(settings) : null;
+        return !!cached && cached.models.length > 0 && !cached.models.some(function (m) { return m.id === model; });
+    }
+
+    // === GUI IMPLEMENTATION ===
+    function showToast(message) {
+        const toast = document.createElement('div');
+        toast.textContent = message;
+        Object.assign(toast.style, {
+            position: 'fixed', bottom: '30px', left: '50%', transform: 'translateX(-50%)',
+            background: '#2ecc40', color: '#fff', padding: '12px 24px', borderRadius: '8px',
+            fontSize: '14px', fontFamily: 'sans-serif', fontWeight: 'bold',
+            zIndex: '10001', opacity: '1', transition: 'opacity 0.5s ease',
+            boxShadow: '0 4px 12px rgba(0,0,0,0.3)'
+        });
+        document.body.appendChild(toast);
+        setTimeout(function () { toast.style.opacity = '0'; }, 1500);
+        setTimeout(function () { toast.remove(); }, 2000);
+    }
+
+    function renderProviderOptions(selected) {
+        return getProviderDefs().map(function (def) {
+            return '<option value="' + escapeHtml(def.id) + '"' + (def.id === selected ? ' selected' : '') + '>' + escapeHtml(def.label) + '</option>';
+        }).join('');
+    }
+
+    // Model field of a provider whose description has ui: "generated"
+    function renderGeneratedProviderFields(def, settings) {
+        return '<div id="ph-' + def.id + '-fields" style="display: ' + (settings.provider === def.id ? 'block' : 'none') + ';">' +
+            '<label for="' + def.modelInput + '">Model:</label>' +
+            '<input type="text" id="' + def.modelInput + '" value="' + escapeHtml(settings[def.modelKey] || '') + '"' +
+            (def.modelPlaceholder ? ' placeholder="' + escapeHtml(def.modelPlaceholder) + '"' : '') + '>' +
+            '</div>';
+    }
+
+    // "Name: value" lines of the custom provider editor
+    function parseHeaderLines(text) {
         var headers = {};
-        if (apiKey) headers["Authorization"] = "Bearer " + apiKey;
-        return fetchApi(base + modelsPath, { headers: headers }).then(function (result) {
-            if (!result.ok) {
-                return {
-                    online: false,
-                    models: [],
-                    error: result.text || "HTTP " + result.status
-                };
-            }
-            var rawData = result.data && result.data.data;
-            if (!Array.isArray(rawData) && Array.isArray(result.data)) {
-                rawData = result.data;
-            }
-            var models = [];
-            if (Array.isArray(rawData)) {
-                var seen = {};
-                for (var i = 0; i < rawData.length; i++) {
-                    var modelId = rawData[i] && (rawData[i].id || rawData[i]);
-                    if (modelId && typeof modelId === "string" && !seen[modelId]) {
-                        seen[modelId] = true;
-                        models.push(modelId);
-                    }
-                }
-            }
-            return {
-                online: true,
-                models: models,
-                error: null
-            };
+        String(text || "").split("\n").forEach(function (line) {
+            var colon = line.indexOf(":");
+            if (colon <= 0) return;
+            var name = line.slice(0, colon).trim();
+            if (name) headers[name] = line.slice(colon + 1).trim();
         });
+        return headers;
+    }
+
+    function formatHeaderLines(headers) {
+        return Object.keys(headers || {}).map(function (name) { return name + ": " + headers[name]; }).join("\n");
     }
 
-    // === GUI IMPLEMENTATION ===
     function createSettingsModal() {
         if (document.getElementById('ph-ai-settings-modal')) return;
 
         const settings = loadSettings();
+        const keysLocked = isVaultLocked();
+        const keyAttrs = keysLocked ? 'disabled placeholder="Locked - unlock under Key storage"' : '';
 
         const modalHTML = `
             <style id="ph-ai-modal-styles">
@@ -560,76 +3711,87 @@
                 #ph-ai-modal-box { background: #222; color: #fff; padding: 16px; border-radius: 8px; width: 100%; max-width: 420px; max-height: calc(100vh - 24px); overflow-y: auto; box-shadow: 0 4px 20px rgba(0,0,0,0.5); box-sizing: border-box; }
                 #ph-ai-modal-box h2 { margin: 0 0 12px; font-size: 1.1rem; border-bottom: 1px solid #444; padding-bottom: 8px; }
                 #ph-ai-modal-box label { display: block; margin-top: 10px; font-size: 0.9rem; }
-                #ph-ai-modal-box input, #ph-ai-modal-box select { width: 100%; padding: 8px; margin-top: 4px; background: #333; color: #fff; border: 1px solid #555; border-radius: 4px; box-sizing: border-box; font-size: 0.9rem; }
+                #ph-ai-modal-box input, #ph-ai-modal-box select, #ph-ai-modal-box textarea { width: 100%; padding: 8px; margin-top: 4px; background: #333; color: #fff; border: 1px solid #555; border-radius: 4px; box-sizing: border-box; font-size: 0.9rem; }
                 #ph-ai-modal-box select[multiple] { min-height: 120px; max-height: 40vh; }
+                #ph-ai-modal-box textarea { font-family: monospace; resize: vertical; min-height: 64px; }
+                #ph-ai-modal-box input[type="checkbox"] { width: auto; margin: 0 6px 0 0; vertical-align: middle; }
+                #ph-ai-modal-box details { margin-top: 12px; border-top: 1px solid #444; padding-top: 8px; }
+                #ph-ai-modal-box summary { cursor: pointer; font-size: 0.95rem; font-weight: 600; }
+                #ph-ai-modal-box .ph-ai-hint { display: block; margin-top: 4px; font-size: 0.8rem; color: #aaa; }
                 #ph-ai-modal-box button { padding: 8px 14px; font-size: 0.9rem; border: none; border-radius: 4px; cursor: pointer; }
+                #ph-ai-modal-box .ph-secret-field { display: flex; gap: 6px; align-items: center; }
+                #ph-ai-modal-box .ph-secret-field button { margin-top: 4px; padding: 8px 10px; background: #555; color: #fff; }
                 #ph-ai-modal-buttons { margin-top: 16px; display: flex; flex-wrap: wrap; gap: 8px; justify-content: flex-end; }
                 @media (max-width: 380px) { #ph-ai-modal-box { padding: 12px; } #ph-ai-modal-buttons { flex-direction: column; } #ph-ai-modal-buttons button { width: 100%; } }
             </style>
             <div id="ph-ai-settings-modal">
                 <div id="ph-ai-modal-box">
                     <h2>AI Settings</h2>
+
+                    <label for="ph-profile">Profile:</label>
+                    <select id="ph-profile">
+                        ${Object.keys(loadProfiles()).map(function (name) {
+                            return '<option value="' + escapeHtml(name) + '"' + (name === settings.profileName ? ' selected' : '') + '>' + escapeHtml(name) + '</option>';
+                        }).join('')}
+                    </select>
+                    <div style="margin-top: 6px; display: flex; flex-wrap: wrap; gap: 6px;">
+                        <button id="ph-profile-new-btn" type="button" style="background: #555; color: #fff;">New</button>
+                        <button id="ph-profile-duplicate-btn" type="button" style="background: #555; color: #fff;">Duplicate</button>
+                        <button id="ph-profile-rename-btn" type="button" style="background: #555; color: #fff;">Rename</button>
+                        <button id="ph-profile-delete-btn" type="button" style="background: #dc3545; color: #fff;">Delete</button>
+                    </div>
+                    <span class="ph-ai-hint">Each profile holds its own provider, models and parameters. API keys, prices and spending caps are shared.</span>
                     
                     <label for="ph-provider">Provider:</label>
                     <select id="ph-provider">
-                        <option value="google" ${settings.provider === 'google' ? 'selected' : ''}>Google AI Studio</option>
-                        <option value="openrouter" ${settings.provider === 'openrouter' ? 'selected' : ''}>OpenRouter</option>
-                        <option value="openai" ${settings.provider === 'openai' ? 'selected' : ''}>OpenAI</option>
-                        <option value="groq" ${settings.provider === 'groq' ? 'selected' : ''}>Groq</option>
-                        <option value="ollama" ${settings.provider === 'ollama' ? 'selected' : ''}>Ollama (local)</option>
-                        <option value="lmstudio" ${settings.provider === 'lmstudio' ? 'selected' : ''}>LM Studio (local)</option>
-                        <option value="together" ${settings.provider === 'together' ? 'selected' : ''}>Together AI</option>
-                        <option value="fireworks" ${settings.provider === 'fireworks' ? 'selected' : ''}>Fireworks AI</option>
-                        <option value="mistral" ${settings.provider === 'mistral' ? 'selected' : ''}>Mistral AI</option>
-                        <option value="anthropic" ${settings.provider === 'anthropic' ? 'selected' : ''}>Anthropic (Claude)</option>
-                        <option value="copilot" ${settings.provider === 'copilot' ? 'selected' : ''}>Copilot API (local)</option>
-                        <option value="generic" ${settings.provider === 'generic' ? 'selected' : ''}>Generic (URL)</option>
+                        ${renderProviderOptions(settings.provider)}
                     </select>
 
-                    <div id="ph-api-key-container" style="display: ${['ollama', 'lmstudio', 'copilot', 'generic'].indexOf(settings.provider) !== -1 ? 'none' : 'block'};">
+                    <div id="ph-api-key-container" style="display: ${usesKeyField(settings.provider) ? 'block' : 'none'};">
                         <label for="ph-api-key">API Key:</label>
-                        <input type="text" id="ph-api-key" value="${settings.apiKey}" placeholder="sk-...">
-                    </div>
-
-                    <div id="ph-google-fields" style="display: ${settings.provider === 'google' ? 'block' : 'none'};">
-                        <label for="ph-model-name">Model:</label>
-                        <input type="text" id="ph-model-name" value="${settings.modelName}">
-                        <label for="ph-thinking-budget">Thinking Budget (Tokens):</label>
-                        <input type="number" id="ph-thinking-budget" value="${settings.thinkingBudget}">
-                    </div>
-
-                    <div id="ph-openrouter-fields" style="display: ${settings.provider === 'openrouter' ? 'block' : 'none'};">
-                        <label for="ph-or-model-name">Model:</label>
-                        <input type="text" id="ph-or-model-name" value="${settings.openRouterModel}" placeholder="provider/model">
+                        <div class="ph-secret-field">
+                            <input type="password" id="ph-api-key" value="${escapeHtml(getApiKey(settings, settings.provider))}" placeholder="sk-..." autocomplete="off" ${keyAttrs}>
+                            <button type="button" class="ph-secret-toggle" data-target="ph-api-key">Show</button>
+                        </div>
+                        <span class="ph-ai-hint">Several keys: separate them with commas. A key that hits a rate limit or quota cools down and the next one is used.</span>
                     </div>
+                    <div id="ph-key-stats" class="ph-ai-hint"></div>
 
-                    <div id="ph-openai-fields" style="display: ${settings.provider === 'openai' ? 'block' : 'none'};">
-                        <label for="ph-openai-model">Model:</label>
-                        <input type="text" id="ph-openai-model" value="${settings.openaiModel}" placeholder="gpt-4o-mini">
-                    </div>
+                    ${BUILTIN_PROVIDERS.filter(function (def) { return def.ui === "generated"; }).map(function (def) { return renderGeneratedProviderFields(def, settings); }).join('')}
 
-                    <div id="ph-groq-fields" style="display: ${settings.provider === 'groq' ? 'block' : 'none'};">
-                        <label for="ph-groq-model">Model:</label>
-                        <input type="text" id="ph-groq-model" value="${settings.groqModel}" placeholder="llama-3.1-70b-versatile">
+                    <div id="ph-custom-provider-fields" style="display: ${getProviderDef(settings.provider) && getProviderDef(settings.provider).custom ? 'block' : 'none'};">
+                        <label for="ph-custom-model">Model:</label>
+                        <input type="text" id="ph-custom-model">
+                        <span class="ph-ai-hint">Leave empty to use the provider's default model.</span>
                     </div>
 
                     <div id="ph-ollama-fields" style="display: ${settings.provider === 'ollama' ? 'block' : 'none'};">
                         <label for="ph-ollama-base-url">Base URL:</label>
-                        <input type="text" id="ph-ollama-base-url" value="${settings.ollamaBaseUrl}" placeholder="http://localhost:11434">
+                        <input type="text" id="ph-ollama-base-url" value="${escapeHtml(settings.ollamaBaseUrl)}" placeholder="http://localhost:11434">
                         <label for="ph-ollama-model">Model:</label>
-                        <input type="text" id="ph-ollama-model" value="${settings.ollamaModel}" placeholder="llama3.2">
+                        <select id="ph-ollama-model" size="6">
+                            <option value="${escapeHtml(settings.ollamaModel || DEFAULTS.ollamaModel)}">${escapeHtml(settings.ollamaModel || DEFAULTS.ollamaModel)}</option>
+                        </select>
                         <div style="margin-top: 8px;">
                             <button id="ph-test-ollama-btn" type="button" style="background: #28a745; color: #fff;">Test</button>
                             <span id="ph-ollama-status" style="font-size: 0.85rem; margin-left: 8px;"></span>
                         </div>
+                        <label><input type="checkbox" id="ph-ollama-native" ${settings.ollamaNativeApi ? 'checked' : ''}>Use the native API (<code>/api/chat</code>)</label>
+                        <label for="ph-ollama-num-ctx">Context window (<code>num_ctx</code>, 0 = model default):</label>
+                        <input type="number" id="ph-ollama-num-ctx" min="0" step="1024" value="${settings.ollamaNumCtx}">
+                        <label for="ph-ollama-keep-alive">Keep alive:</label>
+                        <input type="text" id="ph-ollama-keep-alive" value="${escapeHtml(settings.ollamaKeepAlive)}" placeholder="5m (server default), -1 = stay loaded">
+                        <label for="ph-ollama-options">Other options:</label>
+                        <input type="text" id="ph-ollama-options" value="${escapeHtml(formatOllamaOptions(settings.ollamaOptions))}" placeholder="num_gpu=99, num_thread=8">
+                        <span class="ph-ai-hint">The native API constrains actions to the game's schema with <code>format</code> and sends the context window, keep alive and options above. Without it they are ignored.</span>
                     </div>
 
                     <div id="ph-lmstudio-fields" style="display: ${settings.provider === 'lmstudio' ? 'block' : 'none'};">
                         <label for="ph-lmstudio-base-url">Base URL:</label>
-                        <input type="text" id="ph-lmstudio-base-url" value="${settings.lmStudioBaseUrl}" placeholder="http://localhost:1234">
+                        <input type="text" id="ph-lmstudio-base-url" value="${escapeHtml(settings.lmStudioBaseUrl)}" placeholder="http://localhost:1234">
                         <label for="ph-lmstudio-model">Model:</label>
                         <select id="ph-lmstudio-model" size="6">
-                            <option value="${settings.lmStudioModel || DEFAULTS.lmStudioModel}">${settings.lmStudioModel || DEFAULTS.lmStudioModel}</option>
+                            <option value="${escapeHtml(settings.lmStudioModel || DEFAULTS.lmStudioModel)}">${escapeHtml(settings.lmStudioModel || DEFAULTS.lmStudioModel)}</option>
                         </select>
                         <div style="margin-top: 8px;">
                             <button id="ph-test-lmstudio-btn" type="button" style="background: #28a745; color: #fff;">Test</button>
@@ -637,29 +3799,9 @@
                         </div>
                     </div>
 
-                    <div id="ph-together-fields" style="display: ${settings.provider === 'together' ? 'block' : 'none'};">
-                        <label for="ph-together-model">Model:</label>
-                        <input type="text" id="ph-together-model" value="${settings.togetherModel}" placeholder="meta-llama/Llama-3.3-70B-Instruct-Turbo">
-                    </div>
-
-                    <div id="ph-fireworks-fields" style="display: ${settings.provider === 'fireworks' ? 'block' : 'none'};">
-                        <label for="ph-fireworks-model">Model:</label>
-                        <input type="text" id="ph-fireworks-model" value="${settings.fireworksModel}" placeholder="accounts/fireworks/models/llama-v3p1-8b-instruct">
-                    </div>
-
-                    <div id="ph-mistral-fields" style="display: ${settings.provider === 'mistral' ? 'block' : 'none'};">
-                        <label for="ph-mistral-model">Model:</label>
-                        <input type="text" id="ph-mistral-model" value="${settings.mistralModel}" placeholder="mistral-small-latest">
-                    </div>
-
-                    <div id="ph-anthropic-fields" style="display: ${settings.provider === 'anthropic' ? 'block' : 'none'};">
-                        <label for="ph-anthropic-model">Model:</label>
-                        <input type="text" id="ph-anthropic-model" value="${settings.anthropicModel}" placeholder="claude-sonnet-4-20250514">
-                    </div>
-
                     <div id="ph-copilot-fields" style="display: ${settings.provider === 'copilot' ? 'block' : 'none'};">
                         <label for="ph-copilot-base-url">Base URL:</label>
-                        <input type="text" id="ph-copilot-base-url" value="${settings.copilotBaseUrl}" placeholder="http://localhost:4141">
+                        <input type="text" id="ph-copilot-base-url" value="${escapeHtml(settings.copilotBaseUrl)}" placeholder="http://localhost:4141">
                         <label for="ph-copilot-model">Model:</label>
                         <select id="ph-copilot-model" size="6"></select>
                         <div style="margin-top: 8px;">
@@ -670,17 +3812,292 @@
 
                     <div id="ph-generic-fields" style="display: ${settings.provider === 'generic' ? 'block' : 'none'};">
                         <label for="ph-generic-base-url">Base URL:</label>
-                        <input type="text" id="ph-generic-base-url" value="${settings.genericBaseUrl}" placeholder="https://api.example.com/v1">
+                        <input type="text" id="ph-generic-base-url" value="${escapeHtml(settings.genericBaseUrl)}" placeholder="https://api.example.com/v1">
                         <label for="ph-generic-model">Model:</label>
-                        <input type="text" id="ph-generic-model" value="${settings.genericModel}">
+                        <input type="text" id="ph-generic-model" value="${escapeHtml(settings.genericModel)}">
                         <label for="ph-generic-api-key">API Key (optional):</label>
-                        <input type="text" id="ph-generic-api-key" value="${settings.genericApiKey}" placeholder="Optional">
+                        <div class="ph-secret-field">
+                            <input type="password" id="ph-generic-api-key" value="${escapeHtml(settings.genericApiKey)}" placeholder="Optional" autocomplete="off" ${keyAttrs}>
+                            <button type="button" class="ph-secret-toggle" data-target="ph-generic-api-key">Show</button>
+                        </div>
                         <div style="margin-top: 8px;">
                             <button id="ph-test-generic-btn" type="button" style="background: #28a745; color: #fff;">Test</button>
                             <span id="ph-generic-status" style="font-size: 0.85rem; margin-left: 8px;"></span>
                         </div>
                     </div>
 
+                    <div id="ph-fixture-fields" style="display: ${settings.provider === 'fixture' ? 'block' : 'none'};">
+                        <label for="ph-fixture-match">Prompt matching:</label>
+                        <select id="ph-fixture-match">
+                            <option value="exact" ${settings.fixtureMatch === 'exact' ? 'selected' : ''}>Exact only</option>
+                            <option value="fuzzy" ${settings.fixtureMatch !== 'exact' ? 'selected' : ''}>Exact, then most similar</option>
+                        </select>
+                        <label for="ph-fixture-similarity">Minimum similarity for fuzzy matches (0-1):</label>
+                        <input type="number" id="ph-fixture-similarity" min="0" max="1" step="0.05" value="${settings.fixtureMinSimilarity}">
+                        <span class="ph-ai-hint">Answers from the fixture set chosen under <b>Fixtures</b> below. A miss is an error; it never reaches the game's backend.</span>
+                    </div>
+
+                    <div id="ph-catalog-container" style="display: ${settings.provider === 'fixture' ? 'none' : 'block'};">
+                        <div style="margin-top: 8px;">
+                            <button id="ph-catalog-btn" type="button" style="background: #6c757d; color: #fff;">Browse models</button>
+                        </div>
+                        <div id="ph-catalog" style="display: none;">
+                            <input type="text" id="ph-catalog-search" placeholder="Search models">
+                            <label><input type="checkbox" id="ph-catalog-free">Free only</label>
+                            <label><input type="checkbox" id="ph-catalog-json">Structured output (JSON) only</label>
+                            <select id="ph-catalog-list" size="8"></select>
+                            <div style="margin-top: 8px;">
+                                <button id="ph-catalog-refresh-btn" type="button" style="background: #555; color: #fff;">Refresh</button>
+                                <span id="ph-catalog-status" style="font-size: 0.85rem; margin-left: 8px;"></span>
+                            </div>
+                            <span class="ph-ai-hint">Pick a model to use it. Shows context length, price per 1M tokens (input/output) and JSON support where the provider's listing has them. Listings are cached for a day.</span>
+                        </div>
+                    </div>
+
+                    <details id="ph-custom-providers-section" ${settings.customProviders.length ? 'open' : ''}>
+                        <summary>Custom providers</summary>
+                        <div style="margin-top: 6px; display: flex; flex-wrap: wrap; gap: 6px;">
+                            <select id="ph-custom-provider-select" style="flex: 1; min-width: 140px; margin-top: 0;"></select>
+                            <button id="ph-custom-provider-add-btn" type="button" style="background: #555; color: #fff;">Add</button>
+                            <button id="ph-custom-provider-delete-btn" type="button" style="background: #dc3545; color: #fff;">Delete</button>
+                        </div>
+                        <div id="ph-custom-provider-editor">
+                            <label for="ph-custom-id">ID (lowercase, used in fallback chains and rules):</label>
+                            <input type="text" id="ph-custom-id" placeholder="deepseek">
+                            <label for="ph-custom-label">Name:</label>
+                            <input type="text" id="ph-custom-label" placeholder="DeepSeek">
+                            <label for="ph-custom-base-url">Base URL:</label>
+                            <input type="text" id="ph-custom-base-url" placeholder="https://api.deepseek.com/v1">
+                            <label for="ph-custom-default-model">Default model:</label>
+                            <input type="text" id="ph-custom-default-model" placeholder="deepseek-chat">
+                            <label for="ph-custom-auth">Authentication:</label>
+                            <select id="ph-custom-auth">
+                                <option value="bearer">Authorization: Bearer key</option>
+                                <option value="header">Key in a header</option>
+                                <option value="query">Key in a query parameter</option>
+                                <option value="none">No key</option>
+                            </select>
+                            <label for="ph-custom-auth-name">Header / parameter name:</label>
+                            <input type="text" id="ph-custom-auth-name" placeholder="api-key">
+                            <label for="ph-custom-headers">Extra headers (<code>Name: value</code> per line):</label>
+                            <textarea id="ph-custom-headers" rows="2" placeholder="X-Title: Pax Historia Hook"></textarea>
+                        </div>
+                        <span id="ph-custom-provider-status" class="ph-ai-hint"></span>
+                        <span class="ph-ai-hint">Any OpenAI-compatible endpoint (<code>/chat/completions</code>). Header values may use <code>{{apiKey}}</code>, <code>{{model}}</code> and <code>{{pageUrl}}</code>. Custom providers are shared by all profiles and appear in the provider list once valid.</span>
+                    </details>
+
+                    <label for="ph-reasoning">Reasoning:</label>
+                    <select id="ph-reasoning">
+                        ${REASONING_LEVELS.map(function (level) { return '<option value="' + level + '" ' + (getReasoningLevel(settings) === level ? 'selected' : '') + '>' + { default: 'Provider default', off: 'Off', low: 'Low', medium: 'Medium', high: 'High' }[level] + '</option>'; }).join('')}
+                    </select>
+                    <label for="ph-thinking-budget">Thinking Budget (Tokens):</label>
+                    <input type="number" id="ph-thinking-budget" value="${settings.thinkingBudget}">
+                    <span class="ph-ai-hint">Google and Anthropic think up to the token budget (Google also on Provider default). OpenAI and Groq get <code>reasoning_effort</code>, OpenRouter <code>reasoning.effort</code>; only reasoning models accept it. Thinking is shown in the inspector and never sent to the game.</span>
+
+                    <details id="ph-generation-section">
+                        <summary>Generation parameters</summary>
+                        <label for="ph-generation-params">One line per provider (<code>provider[.chat|.action] = name=value, ...</code>, <code>*</code> = all providers):</label>
+                        <textarea id="ph-generation-params" rows="3" placeholder="google = temperature=0.7&#10;*.action = temperature=0.2, seed=42&#10;groq.chat = temperature=1, stop=END|###">${escapeHtml(formatGenerationParams(settings.generationParams))}</textarea>
+                        <span class="ph-ai-hint">Names: ${GENERATION_PARAM_NAMES.map(function (name) { return '<code>' + name + '</code>'; }).join(', ')}. Separate stop sequences with <code>|</code>. <code>.chat</code>/<code>.action</code> lines override the plain ones for that request type. Parameters a provider does not support are dropped (noted in the console).</span>
+                    </details>
+
+                    <details id="ph-routing-section" ${settings.routingRules.length ? 'open' : ''}>
+                        <summary>Routing rules</summary>
+                        <label for="ph-routing-rules">Send matching requests to another provider (one per line, <code>promptStage | schemaName =&gt; provider:model</code>):</label>
+                        <textarea id="ph-routing-rules" rows="3" placeholder="chatWithUser | * =&gt; groq:llama-3.1-8b-instant&#10;* | *event* =&gt; google:gemini-2.5-pro">${escapeHtml(formatRoutingRules(settings.routingRules))}</textarea>
+                        <span class="ph-ai-hint">Patterns accept <code>*</code>. The first matching rule wins; other requests use the provider above. Chat requests have promptStage <code>chatWithUser</code>.</span>
+                    </details>
+
+                    <details id="ph-templates-section" ${settings.promptTemplates.length ? 'open' : ''}>
+                        <summary>Prompt templates</summary>
+                        <div style="margin-top: 6px; display: flex; flex-wrap: wrap; gap: 6px;">
+                            <select id="ph-template-select" style="flex: 1; min-width: 140px; margin-top: 0;"></select>
+                            <button id="ph-template-add-btn" type="button" style="background: #555; color: #fff;">Add</button>
+                            <button id="ph-template-delete-btn" type="button" style="background: #dc3545; color: #fff;">Delete</button>
+                        </div>
+                        <div id="ph-template-fields">
+                            <label for="ph-template-stage">promptStage pattern:</label>
+                            <input type="text" id="ph-template-stage" placeholder="*">
+                            <label for="ph-template-schema">Schema name pattern:</label>
+                            <input type="text" id="ph-template-schema" placeholder="*">
+                            <label for="ph-template-system">System prompt:</label>
+                            <textarea id="ph-template-system" rows="2" placeholder="Respond in a grim historical tone."></textarea>
+                            <label for="ph-template-prefix">Prefix (before the game's prompt):</label>
+                            <textarea id="ph-template-prefix" rows="2"></textarea>
+                            <label for="ph-template-suffix">Suffix (after the game's prompt):</label>
+                            <textarea id="ph-template-suffix" rows="2" placeholder="Always answer in Russian."></textarea>
+                        </div>
+                        <span class="ph-ai-hint">The first template matching promptStage and schema name is used. Variables: ${PROMPT_TEMPLATE_VARIABLES.map(function (name) { return '<code>{{' + name + '}}</code>'; }).join(' ')}. Put <code>{{prompt}}</code> in the system prompt, prefix or suffix to place the prompt yourself.</span>
+                        <div style="margin-top: 8px;">
+                            <button id="ph-template-preview-btn" type="button" style="background: #6c757d; color: #fff;">Preview with last prompt</button>
+                        </div>
+                        <pre id="ph-template-preview" style="display: none; margin-top: 8px; padding: 8px; background: #111; border-radius: 4px; max-height: 240px; overflow: auto; white-space: pre-wrap; font-size: 0.75rem;"></pre>
+                    </details>
+
+                    <details id="ph-validation-section">
+                        <summary>Action validation</summary>
+                        <label for="ph-repair-attempts">Schema repair attempts:</label>
+                        <input type="number" id="ph-repair-attempts" min="0" max="5" value="${settings.repairAttempts}">
+                        <span class="ph-ai-hint">Action JSON is checked against the game's schema. On violations the same provider is asked to fix its answer this many times (0 = only log them).</span>
+                        <label for="ph-structured-modes">Structured output mode overrides (<code>provider[:model] = mode</code>):</label>
+                        <textarea id="ph-structured-modes" rows="2" placeholder="generic = json_object&#10;lmstudio:qwen* = prompt">${escapeHtml(formatStructuredOutputModes(settings.structuredOutputModes))}</textarea>
+                        <span class="ph-ai-hint">Modes, strongest first: <code>json_schema</code>, <code>tool</code> (forced function call), <code>json_object</code>, <code>prompt</code> (schema in the system message). Without an override a built-in table per provider and model decides. OpenAI-compatible providers only.</span>
+                        <div id="ph-structured-learned" class="ph-ai-hint"></div>
+                        <button id="ph-structured-forget-btn" type="button" style="background: #555; color: #fff;">Forget learned modes</button>
+                    </details>
+
+                    <details id="ph-timeouts-section">
+                        <summary>Timeouts and retries</summary>
+                        <label for="ph-connect-timeout">Connect timeout (seconds, 0 = none):</label>
+                        <input type="number" id="ph-connect-timeout" min="0" value="${settings.connectTimeoutSec}">
+                        <label for="ph-total-timeout">Total timeout per request (seconds, 0 = none):</label>
+                        <input type="number" id="ph-total-timeout" min="0" value="${settings.totalTimeoutSec}">
+                        <label for="ph-provider-timeouts">Per-provider overrides (<code>provider = connect/total</code>):</label>
+                        <textarea id="ph-provider-timeouts" rows="2" placeholder="ollama = 10/600&#10;copilot = 5/120">${escapeHtml(formatProviderTimeouts(settings.providerTimeouts))}</textarea>
+                        <span class="ph-ai-hint">Connect = time until the provider starts answering. Timed-out requests are retried, cancelled ones are not.</span>
+                        <label for="ph-retry-count">Retries after a failed call (0 = none):</label>
+                        <input type="number" id="ph-retry-count" min="0" max="10" value="${settings.retryCount}">
+                        <label for="ph-retry-max-wait">Longest wait before a retry (seconds):</label>
+                        <input type="number" id="ph-retry-max-wait" min="0" value="${settings.retryMaxWaitSec}">
+                        <span class="ph-ai-hint">Timeouts, network errors, rate limits and server errors are retried after the wait the provider asks for (<code>Retry-After</code>, rate limit reset headers), else with growing randomized delays. A longer requested wait goes straight to the fallback chain. An invalid key, unknown model, too long prompt or used-up quota is not retried.</span>
+                    </details>
+
+                    <details id="ph-context-section">
+                        <summary>Context budget</summary>
+                        <label for="ph-context-lengths">Context length per model (<code>model = tokens</code>):</label>
+                        <textarea id="ph-context-lengths" rows="2" placeholder="llama3.2 = 8192&#10;local-model = 16384">${escapeHtml(formatContextLengths(settings.contextLengths))}</textarea>
+                        <div style="margin-top: 6px; display: flex; flex-wrap: wrap; gap: 6px; align-items: center;">
+                            <button id="ph-context-detect-btn" type="button" style="background: #555; color: #fff;">Detect for selected model</button>
+                            <span id="ph-context-status" style="font-size: 0.85rem;"></span>
+                        </div>
+                        <label for="ph-output-reserve">Tokens reserved for the answer:</label>
+                        <input type="number" id="ph-output-reserve" min="1" value="${settings.outputReserveTokens}">
+                        <label for="ph-context-overflow">When a prompt does not fit:</label>
+                        <select id="ph-context-overflow">
+                            <option value="warn" ${settings.contextOverflow === 'warn' ? 'selected' : ''}>Warn and send anyway</option>
+                            <option value="trim" ${settings.contextOverflow === 'trim' ? 'selected' : ''}>Trim the middle of the history</option>
+                            <option value="reroute" ${settings.contextOverflow === 'reroute' ? 'selected' : ''}>Reroute to a larger-context provider</option>
+                        </select>
+                        <label for="ph-context-reroute">Reroute to (<code>provider:model</code>):</label>
+                        <input type="text" id="ph-context-reroute" value="${escapeHtml(settings.contextRerouteEntry)}" placeholder="google:gemini-2.5-flash">
+                        <span class="ph-ai-hint">Models without a length use their metadata (Ollama, LM Studio, OpenRouter) or are not checked. Prompt size is estimated at ~4 characters per token. The reservation is also the answer's max tokens.</span>
+                    </details>
+
+                    <details id="ph-queue-section">
+                        <summary>Request queue</summary>
+                        <label for="ph-rate-limits">Per-provider limits (<code>provider = concurrency/rpm/tpm</code>):</label>
+                        <textarea id="ph-rate-limits" rows="2" placeholder="ollama = 1/0/0&#10;groq = 2/30/6000">${escapeHtml(formatRateLimits(settings.rateLimits))}</textarea>
+                        <span class="ph-ai-hint">Max parallel calls, requests per minute and tokens per minute (0 = no limit). Extra calls wait in a queue, chat before actions; the badge shows how many are waiting.</span>
+                    </details>
+
+                    <details id="ph-usage-section">
+                        <summary>Usage &amp; spending caps</summary>
+                        <pre id="ph-usage-summary" style="white-space: pre-wrap; font-size: 0.8rem; color: #ccc; margin: 8px 0 0;">${escapeHtml(getUsageSummaryLines().join("\n"))}</pre>
+                        <label for="ph-price-table">Prices in USD per 1M tokens (<code>model = input/output</code>, <code>*</code> allowed):</label>
+                        <textarea id="ph-price-table" rows="3" placeholder="gpt-4o-mini = 0.15/0.6&#10;claude-sonnet-4* = 3/15&#10;gemini-2.5-flash* = 0.3/2.5">${escapeHtml(formatPriceTable(settings.priceTable))}</textarea>
+                        <label for="ph-daily-cap">Daily cap (USD, 0 = none):</label>
+                        <input type="number" id="ph-daily-cap" min="0" step="0.01" value="${settings.dailyCapUsd}">
+                        <label for="ph-monthly-cap">Monthly cap (USD, 0 = none):</label>
+                        <input type="number" id="ph-monthly-cap" min="0" step="0.01" value="${settings.monthlyCapUsd}">
+                        <label for="ph-cap-action">When a cap is reached:</label>
+                        <select id="ph-cap-action">
+                            <option value="block" ${settings.capAction !== 'reroute' ? 'selected' : ''}>Block requests</option>
+                            <option value="reroute" ${settings.capAction === 'reroute' ? 'selected' : ''}>Reroute to another provider</option>
+                        </select>
+                        <label for="ph-cap-reroute">Reroute to (<code>provider:model</code>):</label>
+                        <input type="text" id="ph-cap-reroute" value="${escapeHtml(settings.capRerouteEntry)}" placeholder="ollama:llama3.2">
+                        <span class="ph-ai-hint">Costs are estimates from the price table and the token counts reported by each provider. Models without a price count as free.</span>
+                        <div style="margin-top: 8px;">
+                            <button id="ph-reset-usage-btn" type="button" style="background: #555; color: #fff;">Reset usage stats</button>
+                        </div>
+                    </details>
+
+                    <details id="ph-cache-section">
+                        <summary>Response cache</summary>
+                        <label><input type="checkbox" id="ph-cache-enabled" ${settings.cacheEnabled ? 'checked' : ''}>Reuse stored answers for identical requests</label>
+                        <label for="ph-cache-stages">Cached promptStages (comma separated, <code>*</code> = all):</label>
+                        <input type="text" id="ph-cache-stages" value="${escapeHtml(settings.cacheStages)}" placeholder="*">
+                        <label><input type="checkbox" id="ph-cache-skip-chat" ${settings.cacheSkipChat ? 'checked' : ''}>Always ask for fresh chat answers</label>
+                        <label for="ph-cache-max-entries">Max entries:</label>
+                        <input type="number" id="ph-cache-max-entries" min="1" value="${settings.cacheMaxEntries}">
+                        <label for="ph-cache-max-age">Max age (hours, 0 = no limit):</label>
+                        <input type="number" id="ph-cache-max-age" min="0" value="${settings.cacheMaxAgeHours}">
+                        <span class="ph-ai-hint">Keyed on provider, model, prompt, schema and generation settings. Stored in this browser's IndexedDB.</span>
+                        <div style="margin-top: 8px;">
+                            <button id="ph-clear-cache-btn" type="button" style="background: #555; color: #fff;">Clear cache</button>
+                            <span id="ph-cache-status" style="font-size: 0.85rem; margin-left: 8px;"></span>
+                        </div>
+                    </details>
+
+                    <details id="ph-fallback-section" ${settings.fallbackChain.length || settings.fallbackToGame || settings.strictPrivacy ? 'open' : ''}>
+                        <summary>Fallback chain</summary>
+                        <label for="ph-fallback-chain">Tried in order when the provider above fails (one per line, <code>provider:model</code>):</label>
+                        <textarea id="ph-fallback-chain" rows="3" placeholder="groq:llama-3.3-70b-versatile&#10;openrouter&#10;ollama:llama3.2">${escapeHtml(formatProviderChain(settings.fallbackChain))}</textarea>
+                        <span class="ph-ai-hint">Leave the model out to use the one configured for that provider. Each provider uses its own saved API key.</span>
+                        <label><input type="checkbox" id="ph-fallback-to-game" ${settings.fallbackToGame ? 'checked' : ''} ${settings.strictPrivacy ? 'disabled' : ''}>Use the Pax Historia backend as the last resort</label>
+                        <label><input type="checkbox" id="ph-strict-privacy" ${settings.strictPrivacy ? 'checked' : ''}>Strict privacy: never send prompts to the Pax Historia backend</label>
+                        <span class="ph-ai-hint">Without a key or when every provider fails, the game then gets an error instead, and a notice in the page offers to retry, switch provider or open the settings. Applies to all profiles.</span>
+                    </details>
+
+                    <details id="ph-compare-section" ${settings.compareEnabled ? 'open' : ''}>
+                        <summary>A/B comparison</summary>
+                        <label><input type="checkbox" id="ph-compare-enabled" ${settings.compareEnabled ? 'checked' : ''}>Send every request to two providers and compare</label>
+                        <label for="ph-compare-primary">Primary (<code>provider:model</code>, empty = provider above and routing rules):</label>
+                        <input type="text" id="ph-compare-primary" value="${escapeHtml(settings.comparePrimary)}" placeholder="google:gemini-2.5-flash">
+                        <label for="ph-compare-candidate">Candidate (<code>provider:model</code>):</label>
+                        <input type="text" id="ph-compare-candidate" value="${escapeHtml(settings.compareCandidate)}" placeholder="groq:openai/gpt-oss-120b">
+                        <label for="ph-compare-choice">Answer returned to the game:</label>
+                        <select id="ph-compare-choice">
+                            <option value="manual" ${settings.compareChoice === 'manual' ? 'selected' : ''}>I pick it (side-by-side overlay)</option>
+                            <option value="first-valid" ${settings.compareChoice === 'first-valid' ? 'selected' : ''}>First valid answer</option>
+                            <option value="primary" ${settings.compareChoice === 'primary' ? 'selected' : ''}>Primary unless invalid</option>
+                        </select>
+                        <span class="ph-ai-hint">Both are called in parallel for every request, so usage doubles. The fallback chain and response cache are not used while comparing. Every comparison is logged with both timings and validity.</span>
+                        <pre id="ph-compare-summary" style="white-space: pre-wrap; font-size: 0.8rem; color: #ccc; margin: 8px 0 0;">${escapeHtml(getComparisonSummaryLines().join("\n"))}</pre>
+                        <div style="margin-top: 8px; display: flex; flex-wrap: wrap; gap: 6px;">
+                            <button id="ph-compare-export-btn" type="button" style="background: #555; color: #fff;">Export log (JSONL)</button>
+                            <button id="ph-compare-clear-btn" type="button" style="background: #dc3545; color: #fff;">Clear log</button>
+                        </div>
+                    </details>
+
+                    <details id="ph-fixtures-section" ${settings.recordFixtures || settings.provider === 'fixture' ? 'open' : ''}>
+                        <summary>Fixtures (record/replay)</summary>
+                        <label for="ph-fixture-set">Fixture set:</label>
+                        <input type="text" id="ph-fixture-set" value="${escapeHtml(settings.fixtureSet)}" placeholder="default">
+                        <label><input type="checkbox" id="ph-record-fixtures" ${settings.recordFixtures ? 'checked' : ''}>Record every answered request into this set</label>
+                        <span class="ph-ai-hint">Replay a set offline with the "Fixtures" provider. Raw model output is stored, so replays exercise the JSON cleanup again.</span>
+                        <div style="margin-top: 8px; display: flex; flex-wrap: wrap; gap: 6px; align-items: center;">
+                            <button id="ph-fixture-export-btn" type="button" style="background: #555; color: #fff;">Export set</button>
+                            <button id="ph-fixture-import-btn" type="button" style="background: #555; color: #fff;">Import into set</button>
+                            <button id="ph-fixture-delete-btn" type="button" style="background: #dc3545; color: #fff;">Delete set</button>
+                            <input type="file" id="ph-fixture-import-file" accept=".json,application/json" style="display: none;">
+                            <span id="ph-fixture-status" style="font-size: 0.85rem;"></span>
+                        </div>
+                    </details>
+
+                    <details id="ph-key-storage-section">
+                        <summary>Key storage</summary>
+                        <div id="ph-key-storage-status" style="margin-top: 8px; font-size: 0.9rem;">${!isVaultEnabled() ? 'API keys are stored in plain text in Tampermonkey.' : keysLocked ? 'API keys are encrypted and locked.' : 'API keys are encrypted and unlocked for this session.'}</div>
+                        <div style="margin-top: 8px; display: flex; flex-wrap: wrap; gap: 6px;">
+                            ${!isVaultEnabled() ? '<button id="ph-vault-enable-btn" type="button" style="background: #555; color: #fff;">Encrypt with passphrase</button>' : ''}
+                            ${keysLocked ? '<button id="ph-vault-unlock-btn" type="button" style="background: #555; color: #fff;">Unlock</button>' : ''}
+                            ${isVaultEnabled() && !keysLocked ? '<button id="ph-vault-change-btn" type="button" style="background: #555; color: #fff;">Change passphrase</button>' +
+                                '<button id="ph-vault-lock-btn" type="button" style="background: #555; color: #fff;">Lock now</button>' +
+                                '<button id="ph-vault-remove-btn" type="button" style="background: #dc3545; color: #fff;">Remove encryption</button>' : ''}
+                        </div>
+                        <span class="ph-ai-hint">Encryption applies to the saved keys. The passphrase is asked once per page load and never stored.</span>
+                    </details>
+
+                    <details id="ph-transfer-section">
+                        <summary>Import / export</summary>
+                        <label><input type="checkbox" id="ph-export-secrets">Include API keys in the export</label>
+                        <span class="ph-ai-hint">Exports every profile and the shared settings as JSON. Redacted keys are left unchanged on import.</span>
+                        <div style="margin-top: 8px; display: flex; flex-wrap: wrap; gap: 6px;">
+                            <button id="ph-export-btn" type="button" style="background: #555; color: #fff;">Export</button>
+                            <button id="ph-import-btn" type="button" style="background: #555; color: #fff;">Import...</button>
+                        </div>
+                    </details>
+
                     <div id="ph-ai-modal-buttons">
                         <button id="ph-cancel-btn" style="background: #555; color: #fff;">Cancel</button>
                         <button id="ph-save-btn" style="background: #007bff; color: #fff;">Save</button>
@@ -693,16 +4110,254 @@
         div.innerHTML = modalHTML;
         document.body.appendChild(div);
 
+        // API keys are kept per provider; the single input shows the key of the selected one
+        var apiKeys = Object.assign({}, settings.apiKeys);
+        var keyProvider = settings.provider;
+        if (usesKeyField(keyProvider)) apiKeys[keyProvider] = getApiKey(settings, keyProvider);
+        // Custom providers share one model field; each one's model is kept while switching
+        var customModels = Object.assign({}, settings.customModels);
+        var customModelProvider = null;
+        if (getProviderDef(settings.provider) && getProviderDef(settings.provider).custom) {
+            customModelProvider = settings.provider;
+            document.getElementById('ph-custom-model').value = customModels[customModelProvider] || "";
+            document.getElementById('ph-custom-model').placeholder = getProviderDef(customModelProvider).defaultModel;
+        }
+
         // Event Listeners
         function updateProviderVisibility() {
             const provider = document.getElementById('ph-provider').value;
-            const noApiKey = ['ollama', 'lmstudio', 'copilot', 'generic'];
-            document.getElementById('ph-api-key-container').style.display = noApiKey.indexOf(provider) !== -1 ? 'none' : 'block';
-            ['google', 'openrouter', 'openai', 'groq', 'ollama', 'lmstudio', 'together', 'fireworks', 'mistral', 'anthropic', 'copilot', 'generic'].forEach(function (p) {
-                var el = document.getElementById('ph-' + p + '-fields');
-                if (el) el.style.display = p === provider ? 'block' : 'none';
+            const def = getProviderDef(provider);
+            const keyInput = document.getElementById('ph-api-key');
+            const customModelInput = document.getElementById('ph-custom-model');
+            if (usesKeyField(keyProvider)) apiKeys[keyProvider] = keyInput.value.trim();
+            keyInput.value = apiKeys[provider] || "";
+            keyProvider = provider;
+            if (customModelProvider) customModels[customModelProvider] = customModelInput.value.trim();
+            customModelProvider = def && def.custom ? provider : null;
+            customModelInput.value = customModelProvider ? customModels[provider] || "" : "";
+            customModelInput.placeholder = customModelProvider ? def.defaultModel : "";
+            document.getElementById('ph-api-key-container').style.display = usesKeyField(provider) ? 'block' : 'none';
+            BUILTIN_PROVIDERS.forEach(function (p) {
+                var el = document.getElementById('ph-' + p.id + '-fields');
+                if (el) el.style.display = p.id === provider ? 'block' : 'none';
+            });
+            document.getElementById('ph-custom-provider-fields').style.display = customModelProvider ? 'block' : 'none';
+            document.getElementById('ph-catalog-container').style.display = def && def.api !== 'fixture' ? 'block' : 'none';
+            document.getElementById('ph-catalog').style.display = 'none';
+            renderKeyStats(provider);
+        }
+
+        // Custom providers are edited like templates; valid ones join the provider list right away
+        var customProviders = cloneValue(settings.customProviders || []);
+        var customIndex = customProviders.length ? 0 : -1;
+        var CUSTOM_PROVIDER_FIELDS = { id: 'ph-custom-id', label: 'ph-custom-label', baseUrl: 'ph-custom-base-url', model: 'ph-custom-default-model', auth: 'ph-custom-auth', authName: 'ph-custom-auth-name', headers: 'ph-custom-headers' };
+
+        function storeCustomProviderFields() {
+            if (customIndex === -1) return;
+            Object.keys(CUSTOM_PROVIDER_FIELDS).forEach(function (field) {
+                var value = document.getElementById(CUSTOM_PROVIDER_FIELDS[field]).value;
+                customProviders[customIndex][field] = field === 'headers' ? parseHeaderLines(value) : value.trim();
+            });
+            customProviders[customIndex].id = customProviders[customIndex].id.toLowerCase();
+        }
+
+        function showCustomProvider(index) {
+            customIndex = index;
+            var select = document.getElementById('ph-custom-provider-select');
+            select.innerHTML = customProviders.length ? customProviders.map(function (custom, i) {
+                return '<option value="' + i + '"' + (i === index ? ' selected' : '') + '>' + escapeHtml(custom.label || custom.id || '(new)') + (isValidCustomProvider(custom) ? '' : ' (incomplete)') + '</option>';
+            }).join('') : '<option value="-1">No custom providers</option>';
+            Object.keys(CUSTOM_PROVIDER_FIELDS).forEach(function (field) {
+                var el = document.getElementById(CUSTOM_PROVIDER_FIELDS[field]);
+                var value = index === -1 ? '' : customProviders[index][field];
+                el.value = field === 'headers' ? formatHeaderLines(value) : field === 'auth' ? value || 'bearer' : value || '';
+                el.disabled = index === -1;
+            });
+            document.getElementById('ph-custom-provider-delete-btn').disabled = index === -1;
+            var custom = customProviders[index];
+            var ids = customProviders.map(function (c) { return c.id; });
+            document.getElementById('ph-custom-provider-status').textContent = index === -1 || isValidCustomProvider(custom) && ids.indexOf(custom.id) === ids.lastIndexOf(custom.id) ? '' :
+                'Incomplete: needs a new lowercase ID, an http(s) base URL and, for header or query keys, their name. It is dropped when saving unless fixed.';
+        }
+
+        // Rebuilds the provider list from the edited custom providers, keeping the selection if it still exists
+        function refreshProviderOptions() {
+            setCustomProviders(customProviders);
+            var select = document.getElementById('ph-provider');
+            var selected = isKnownProvider(select.value) ? select.value : DEFAULTS.provider;
+            select.innerHTML = renderProviderOptions(selected);
+            select.value = selected;
+            updateProviderVisibility();
+        }
+
+        // Templates are edited one at a time; the fields are written back before switching or saving
+        var templates = cloneValue(settings.promptTemplates || []);
+        var templateIndex = templates.length ? 0 : -1;
+        var TEMPLATE_FIELDS = { promptStage: 'ph-template-stage', schemaName: 'ph-template-schema', system: 'ph-template-system', prefix: 'ph-template-prefix', suffix: 'ph-template-suffix' };
+
+        function storeTemplateFields() {
+            if (templateIndex === -1) return;
+            Object.keys(TEMPLATE_FIELDS).forEach(function (field) {
+                var value = document.getElementById(TEMPLATE_FIELDS[field]).value;
+                templates[templateIndex][field] = field === 'promptStage' || field === 'schemaName' ? value.trim() || "*" : value;
+            });
+        }
+
+        function showTemplate(index) {
+            templateIndex = index;
+            var select = document.getElementById('ph-template-select');
+            select.innerHTML = templates.length ? templates.map(function (template, i) {
+                return '<option value="' + i + '"' + (i === index ? ' selected' : '') + '>' + (i + 1) + '. ' + escapeHtml(formatPromptTemplateLabel(template)) + '</option>';
+            }).join('') : '<option value="-1">No templates</option>';
+            Object.keys(TEMPLATE_FIELDS).forEach(function (field) {
+                var el = document.getElementById(TEMPLATE_FIELDS[field]);
+                el.value = index === -1 ? '' : templates[index][field] || '';
+                el.disabled = index === -1;
+            });
+            document.getElementById('ph-template-delete-btn').disabled = index === -1;
+        }
+        showTemplate(templateIndex);
+
+        document.getElementById('ph-template-select').addEventListener('change', function () {
+            storeTemplateFields();
+            showTemplate(parseInt(this.value, 10));
+        });
+        document.getElementById('ph-template-add-btn').addEventListener('click', function () {
+            storeTemplateFields();
+            templates.push({ promptStage: "*", schemaName: "*", system: "", prefix: "", suffix: "" });
+            showTemplate(templates.length - 1);
+        });
+        document.getElementById('ph-template-delete-btn').addEventListener('click', function () {
+            if (templateIndex === -1) return;
+            templates.splice(templateIndex, 1);
+            showTemplate(Math.min(templateIndex, templates.length - 1));
+        });
+        ['ph-template-stage', 'ph-template-schema'].forEach(function (id) {
+            document.getElementById(id).addEventListener('change', function () {
+                storeTemplateFields();
+                showTemplate(templateIndex);
+            });
+        });
+
+        // Renders the unsaved templates against the most recent request the game sent
+        document.getElementById('ph-template-preview-btn').addEventListener('click', function () {
+            storeTemplateFields();
+            var previewEl = document.getElementById('ph-template-preview');
+            previewEl.style.display = 'block';
+            var last = inspectorHistory[inspectorHistory.length - 1];
+            if (!last) {
+                previewEl.textContent = 'No prompt captured yet. Play a turn or send a chat message first.';
+                return;
+            }
+            var request = { prompt: last.prompt, promptStage: last.promptStage, gameSchema: last.schemaName ? { name: last.schemaName } : null };
+            var previewSettings = Object.assign({}, settings, { provider: document.getElementById('ph-provider').value, promptTemplates: templates });
+            var parts = buildPromptParts(previewSettings, request);
+            var header = 'Last prompt: ' + (last.promptStage || '(no stage)') + ' | ' + (last.schemaName || '(no schema)') + '\n' +
+                (parts.template ? 'Template: ' + formatPromptTemplateLabel(parts.template) : 'No template matches; the prompt is sent unchanged.');
+            previewEl.textContent = header + '\n\n--- System ---\n' + (parts.system || '(none)') + '\n\n--- User ---\n' + parts.user;
+        });
+
+        showCustomProvider(customIndex);
+
+        document.getElementById('ph-custom-provider-select').addEventListener('change', function () {
+            storeCustomProviderFields();
+            showCustomProvider(parseInt(this.value, 10));
+        });
+        document.getElementById('ph-custom-provider-add-btn').addEventListener('click', function () {
+            storeCustomProviderFields();
+            customProviders.push({ id: "", label: "", baseUrl: "", model: "", auth: "bearer", authName: "", headers: {} });
+            showCustomProvider(customProviders.length - 1);
+        });
+        document.getElementById('ph-custom-provider-delete-btn').addEventListener('click', function () {
+            if (customIndex === -1) return;
+            customProviders.splice(customIndex, 1);
+            showCustomProvider(Math.min(customIndex, customProviders.length - 1));
+            refreshProviderOptions();
+        });
+        Object.keys(CUSTOM_PROVIDER_FIELDS).forEach(function (field) {
+            document.getElementById(CUSTOM_PROVIDER_FIELDS[field]).addEventListener('change', function () {
+                storeCustomProviderFields();
+                showCustomProvider(customIndex);
+                refreshProviderOptions();
+            });
+        });
+
+        // Reads the model and base URL from the unsaved fields of the selected provider
+        var CONTEXT_DETECT_FIELDS = {
+            ollama: { model: 'ph-ollama-model', modelKey: 'ollamaModel', baseUrl: 'ph-ollama-base-url', baseUrlKey: 'ollamaBaseUrl' },
+            lmstudio: { model: 'ph-lmstudio-model', modelKey: 'lmStudioModel', baseUrl: 'ph-lmstudio-base-url', baseUrlKey: 'lmStudioBaseUrl' },
+            openrouter: { model: 'ph-or-model-name', modelKey: 'openRouterModel' }
+        };
+        document.getElementById('ph-context-detect-btn').addEventListener('click', function () {
+            var statusEl = document.getElementById('ph-context-status');
+            var provider = document.getElementById('ph-provider').value;
+            var fields = CONTEXT_DETECT_FIELDS[provider];
+            if (!fields) {
+                statusEl.textContent = 'Not available for ' + provider + '; enter the length by hand.';
+                statusEl.style.color = '#ffc107';
+                return;
+            }
+            var probe = Object.assign({}, settings, { provider: provider });
+            probe[fields.modelKey] = document.getElementById(fields.model).value.trim();
+            if (fields.baseUrl) probe[fields.baseUrlKey] = document.getElementById(fields.baseUrl).value.trim();
+            var model = getModelId(probe);
+            statusEl.textContent = 'Detecting...';
+            statusEl.style.color = '#ffc107';
+            detectContextLength(probe, provider, model).then(function (tokens) {
+                if (!tokens) {
+                    statusEl.textContent = 'No context length in the metadata of ' + model + '.';
+                    statusEl.style.color = '#dc3545';
+                    return;
+                }
+                var textarea = document.getElementById('ph-context-lengths');
+                var lengths = parseContextLengths(textarea.value);
+                lengths[model] = tokens;
+                textarea.value = formatContextLengths(lengths);
+                statusEl.textContent = model + ': ' + tokens + ' tokens';
+                statusEl.style.color = '#2ecc40';
+            }).catch(function (err) {
+                statusEl.textContent = 'Error: ' + (err.message || err);
+                statusEl.style.color = '#dc3545';
+            });
+        });
+
+        // Models that rejected a mode with a 400 and were downgraded
+        function renderLearnedModes() {
+            var learned = loadLearnedModes();
+            var keys = Object.keys(learned);
+            document.getElementById('ph-structured-learned').innerHTML = keys.length
+                ? 'Learned from errors:<br>' + keys.map(function (key) { return escapeHtml(key + ' = ' + learned[key]); }).join('<br>')
+                : 'No modes learned from errors.';
+            document.getElementById('ph-structured-forget-btn').style.display = keys.length ? '' : 'none';
+        }
+        renderLearnedModes();
+        document.getElementById('ph-structured-forget-btn').addEventListener('click', function () {
+            forgetLearnedModes();
+            renderLearnedModes();
+        });
+
+        // Per-key counters for the saved keys of the selected provider
+        function renderKeyStats(provider) {
+            var keys = getApiKeyList(settings, provider);
+            var el = document.getElementById('ph-key-stats');
+            if (!keys.length) {
+                el.innerHTML = '';
+                return;
+            }
+            Promise.all(keys.map(getKeyId)).then(function (keyIds) {
+                // The modal may be closed or showing another provider by now
+                var select = document.getElementById('ph-provider');
+                if (!select || select.value !== provider) return;
+                var now = Date.now();
+                el.innerHTML = 'Saved keys:<br>' + keys.map(function (key, i) {
+                    var stats = getKeyStats(provider, keyIds[i]);
+                    var line = escapeHtml(getKeyLabel(key)) + ': ' + stats.ok + ' ok, ' + stats.failed + ' failed (' + stats.limited + ' rate/quota limits)';
+                    if (stats.cooldownUntil > now) line += ' - <span style="color: #ffc107;">cooling down ' + formatCooldown(stats.cooldownUntil - now) + '</span>';
+                    return '<span title="' + escapeHtml(stats.lastError ? 'Last error: ' + stats.lastError : '') + '">' + line + '</span>';
+                }).join('<br>');
             });
         }
+        renderKeyStats(settings.provider);
 
         document.getElementById('ph-provider').addEventListener('change', updateProviderVisibility);
 
@@ -780,28 +4435,315 @@
                     statusEl.style.color = '#dc3545';
                 }
             }).catch(function (err) {
-                statusEl.textContent = 'Error: ' + (err.message || 'network');
-                statusEl.style.color = '#dc3545';
+                statusEl.textContent = 'Error: ' + (err.message || 'network');
+                statusEl.style.color = '#dc3545';
+            });
+        }
+
+        function testAndPopulateOllama() {
+            var baseUrl = document.getElementById('ph-ollama-base-url').value.trim() || DEFAULTS.ollamaBaseUrl;
+            var statusEl = document.getElementById('ph-ollama-status');
+            var selectEl = document.getElementById('ph-ollama-model');
+            statusEl.textContent = 'Testing...';
+            statusEl.style.color = '#ffc107';
+            testOllamaConnection(baseUrl).then(function (result) {
+                if (result.online) {
+                    statusEl.textContent = 'OK (' + result.models.length + ' models)';
+                    statusEl.style.color = '#28a745';
+                    populateModelsIntoSelect(selectEl, result.models, loadSettings().ollamaModel);
+                } else {
+                    statusEl.textContent = 'Error: ' + (result.error || 'no response');
+                    statusEl.style.color = '#dc3545';
+                }
+            }).catch(function (err) {
+                statusEl.textContent = 'Error: ' + (err.message || 'network');
+                statusEl.style.color = '#dc3545';
+            });
+        }
+
+        function testGeneric() {
+            var baseUrl = document.getElementById('ph-generic-base-url').value.trim() || DEFAULTS.genericBaseUrl;
+            var apiKey = splitApiKeys(document.getElementById('ph-generic-api-key').value)[0] || null;
+            runTestConnection(baseUrl, apiKey, 'ph-generic-status');
+        }
+
+        document.getElementById('ph-test-copilot-btn').addEventListener('click', testAndPopulateCopilot);
+        document.getElementById('ph-test-lmstudio-btn').addEventListener('click', testAndPopulateLmStudio);
+        document.getElementById('ph-test-ollama-btn').addEventListener('click', testAndPopulateOllama);
+        document.getElementById('ph-test-generic-btn').addEventListener('click', testGeneric);
+
+        // The selected provider as its unsaved fields describe it
+        function getUnsavedProviderSettings() {
+            var provider = document.getElementById('ph-provider').value;
+            var def = getProviderDef(provider);
+            var probe = Object.assign({}, settings, { provider: provider, customModels: customModels });
+            if (def.baseUrlInput) probe[def.baseUrlKey] = document.getElementById(def.baseUrlInput).value.trim() || DEFAULTS[def.baseUrlKey];
+            probe.apiKey = splitApiKeys(document.getElementById(def.apiKeyInput || 'ph-api-key').value)[0] || "";
+            var modelEl = def.modelInput && document.getElementById(def.modelInput);
+            if (modelEl && modelEl.value.trim()) setModelId(probe, provider, modelEl.value.trim());
+            return probe;
+        }
+
+        var catalogEntry = null;
+        var catalogSettings = null;
+
+        function renderCatalog() {
+            var listEl = document.getElementById('ph-catalog-list');
+            var statusEl = document.getElementById('ph-catalog-status');
+            if (!catalogEntry) {
+                listEl.innerHTML = '';
+                return;
+            }
+            var query = document.getElementById('ph-catalog-search').value.trim().toLowerCase();
+            var freeOnly = document.getElementById('ph-catalog-free').checked;
+            var jsonOnly = document.getElementById('ph-catalog-json').checked;
+            var current = getModelId(catalogSettings);
+            var shown = catalogEntry.models.filter(function (model) {
+                if (query && (model.id + ' ' + model.name).toLowerCase().indexOf(query) === -1) return false;
+                if (freeOnly && !model.free) return false;
+                return !jsonOnly || isStructuredCatalogModel(catalogSettings, model);
+            });
+            listEl.innerHTML = shown.map(function (model) {
+                return '<option value="' + escapeHtml(model.id) + '"' + (model.id === current ? ' selected' : '') + (model.name ? ' title="' + escapeHtml(model.name) + '"' : '') + '>' +
+                    escapeHtml(formatCatalogModel(catalogSettings, model)) + '</option>';
+            }).join('');
+            var notes = [shown.length + ' of ' + catalogEntry.models.length + ' models'];
+            if (freeOnly && !catalogEntry.models.some(function (model) { return model.free !== null; })) notes.push('this listing has no prices');
+            var unlisted = current && !catalogEntry.models.some(function (model) { return model.id === current; });
+            if (unlisted) notes.push('"' + current + '" is not listed');
+            statusEl.textContent = notes.join(' · ');
+            statusEl.style.color = unlisted ? '#ffc107' : '#28a745';
+        }
+
+        function loadCatalog(refresh) {
+            var statusEl = document.getElementById('ph-catalog-status');
+            var provider = document.getElementById('ph-provider').value;
+            catalogSettings = getUnsavedProviderSettings();
+            catalogEntry = null;
+            renderCatalog();
+            statusEl.textContent = 'Loading...';
+            statusEl.style.color = '#ffc107';
+            loadModelCatalog(catalogSettings, refresh).then(function (entry) {
+                var select = document.getElementById('ph-provider');
+                if (!select || select.value !== provider) return;
+                catalogEntry = entry;
+                renderCatalog();
+            }).catch(function (err) {
+                statusEl.textContent = 'Error: ' + (err.message || 'network');
+                statusEl.style.color = '#dc3545';
+            });
+        }
+
+        document.getElementById('ph-catalog-btn').addEventListener('click', function () {
+            var panel = document.getElementById('ph-catalog');
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+            if (panel.style.display === 'block') loadCatalog(false);
+        });
+        document.getElementById('ph-catalog-refresh-btn').addEventListener('click', function () {
+            loadCatalog(true);
+        });
+        document.getElementById('ph-catalog-search').addEventListener('input', renderCatalog);
+        document.getElementById('ph-catalog-free').addEventListener('change', renderCatalog);
+        document.getElementById('ph-catalog-json').addEventListener('change', renderCatalog);
+        // Picking a model fills the model field of the selected provider
+        document.getElementById('ph-catalog-list').addEventListener('change', function () {
+            var def = getProviderDef(document.getElementById('ph-provider').value);
+            var modelEl = def && def.modelInput && document.getElementById(def.modelInput);
+            if (!modelEl || !this.value) return;
+            var modelId = this.value;
+            if (modelEl.tagName === 'SELECT' && !Array.prototype.some.call(modelEl.options, function (opt) { return opt.value === modelId; })) {
+                var opt = document.createElement('option');
+                opt.value = modelId;
+                opt.textContent = modelId;
+                modelEl.appendChild(opt);
+            }
+            modelEl.value = modelId;
+            setModelId(catalogSettings, def.id, modelId);
+            renderCatalog();
+        });
+
+        document.getElementById('ph-strict-privacy').addEventListener('change', function () {
+            document.getElementById('ph-fallback-to-game').disabled = this.checked;
+        });
+
+        document.getElementById('ph-compare-export-btn').addEventListener('click', exportComparisonLog);
+        document.getElementById('ph-compare-clear-btn').addEventListener('click', function () {
+            if (!confirm('Delete all logged A/B comparisons?')) return;
+            GM_setValue(COMPARE_LOG_KEY, []);
+            document.getElementById('ph-compare-summary').textContent = getComparisonSummaryLines().join("\n");
+        });
+
+        document.getElementById('ph-reset-usage-btn').addEventListener('click', function () {
+            if (!confirm('Reset all stored token usage and cost totals?')) return;
+            GM_setValue("usageStats", { days: {} });
+            Object.keys(sessionUsage).forEach(function (p) { delete sessionUsage[p]; });
+            document.getElementById('ph-usage-summary').textContent = getUsageSummaryLines().join("\n");
+            refreshIndicatorTooltip();
+        });
+
+        function showCacheStatus() {
+            var statusEl = document.getElementById('ph-cache-status');
+            cacheCount().then(function (count) {
+                statusEl.textContent = count + ' stored';
+                statusEl.style.color = '#aaa';
+            }).catch(function (err) {
+                statusEl.textContent = 'Unavailable: ' + (err.message || err);
+                statusEl.style.color = '#dc3545';
+            });
+        }
+
+        document.getElementById('ph-clear-cache-btn').addEventListener('click', function () {
+            cacheClear().then(showCacheStatus).catch(function (err) {
+                document.getElementById('ph-cache-status').textContent = 'Error: ' + (err.message || err);
+            });
+        });
+        document.getElementById('ph-cache-section').addEventListener('toggle', function () {
+            if (this.open) showCacheStatus();
+        });
+
+        function fixtureSetName() {
+            return document.getElementById('ph-fixture-set').value.trim() || DEFAULTS.fixtureSet;
+        }
+
+        function showFixtureStatus(text, color) {
+            var statusEl = document.getElementById('ph-fixture-status');
+            statusEl.textContent = text;
+            statusEl.style.color = color || '#aaa';
+        }
+
+        function refreshFixtureCount() {
+            var set = fixtureSetName();
+            loadFixtures(set).then(function (fixtures) {
+                showFixtureStatus(fixtures.length + ' recorded in "' + set + '"');
+            }).catch(function (err) {
+                showFixtureStatus('Unavailable: ' + (err.message || err), '#dc3545');
+            });
+        }
+
+        document.getElementById('ph-fixture-export-btn').addEventListener('click', function () {
+            exportFixtureSet(fixtureSetName()).then(function (count) {
+                showFixtureStatus('Exported ' + count + ' fixture(s)');
+            }).catch(function (err) { showFixtureStatus('Error: ' + (err.message || err), '#dc3545'); });
+        });
+        document.getElementById('ph-fixture-import-btn').addEventListener('click', function () {
+            document.getElementById('ph-fixture-import-file').click();
+        });
+        document.getElementById('ph-fixture-import-file').addEventListener('change', function () {
+            var file = this.files && this.files[0];
+            this.value = '';
+            if (!file) return;
+            file.text().then(function (text) {
+                var doc = JSON.parse(text);
+                if (!doc || doc.format !== FIXTURE_EXPORT_FORMAT || !Array.isArray(doc.fixtures)) {
+                    throw new Error('not a fixture export');
+                }
+                return importFixtures(doc.fixtures, fixtureSetName()).then(function () { return doc.fixtures.length; });
+            }).then(function (count) {
+                showFixtureStatus('Imported ' + count + ' fixture(s)', '#28a745');
+            }).catch(function (err) { showFixtureStatus('Import failed: ' + (err.message || err), '#dc3545'); });
+        });
+        document.getElementById('ph-fixture-delete-btn').addEventListener('click', function () {
+            var set = fixtureSetName();
+            if (!confirm('Delete all fixtures in set "' + set + '"?')) return;
+            deleteFixtureSet(set).then(refreshFixtureCount).catch(function (err) {
+                showFixtureStatus('Error: ' + (err.message || err), '#dc3545');
+            });
+        });
+        document.getElementById('ph-fixture-set').addEventListener('change', refreshFixtureCount);
+        document.getElementById('ph-fixtures-section').addEventListener('toggle', function () {
+            if (this.open) refreshFixtureCount();
+        });
+
+        // Profile actions apply immediately and reopen the modal on the resulting profile
+        function reopenModal() {
+            document.getElementById('ph-ai-settings-modal').remove();
+            createSettingsModal();
+        }
+
+        function runProfileAction(action) {
+            try {
+                action();
+                reopenModal();
+            } catch (err) {
+                alert(err.message || err);
+            }
+        }
+
+        document.getElementById('ph-profile').addEventListener('change', function () {
+            var name = this.value;
+            runProfileAction(function () { switchProfile(name); });
+        });
+        document.getElementById('ph-profile-new-btn').addEventListener('click', function () {
+            var name = prompt('Name of the new profile:');
+            if (name === null) return;
+            runProfileAction(function () { createProfile(name); });
+        });
+        document.getElementById('ph-profile-duplicate-btn').addEventListener('click', function () {
+            var name = prompt('Name of the copy:', settings.profileName + ' (copy)');
+            if (name === null) return;
+            runProfileAction(function () { createProfile(name, settings.profileName); });
+        });
+        document.getElementById('ph-profile-rename-btn').addEventListener('click', function () {
+            var name = prompt('New name for "' + settings.profileName + '":', settings.profileName);
+            if (name === null || name.trim() === settings.profileName) return;
+            runProfileAction(function () { renameProfile(settings.profileName, name); });
+        });
+        document.getElementById('ph-profile-delete-btn').addEventListener('click', function () {
+            if (!confirm('Delete profile "' + settings.profileName + '"?')) return;
+            runProfileAction(function () { deleteProfile(settings.profileName); });
+        });
+
+        document.querySelectorAll('#ph-ai-modal-box .ph-secret-toggle').forEach(function (btn) {
+            btn.addEventListener('click', function () {
+                var input = document.getElementById(btn.getAttribute('data-target'));
+                var hidden = input.type === 'password';
+                input.type = hidden ? 'text' : 'password';
+                btn.textContent = hidden ? 'Hide' : 'Show';
+            });
+        });
+
+        // Vault actions work on the saved keys, then reopen the modal to show the new state
+        function runVaultAction(action) {
+            Promise.resolve().then(action).then(function (done) {
+                if (done === false) return;
+                document.getElementById('ph-ai-settings-modal').remove();
+                createSettingsModal();
+                document.getElementById('ph-key-storage-section').open = true;
+            }).catch(function (err) {
+                alert(err.message || err);
             });
         }
-
-        function testOllama() {
-            var baseUrl = document.getElementById('ph-ollama-base-url').value.trim() || DEFAULTS.ollamaBaseUrl;
-            runTestConnection(baseUrl, null, 'ph-ollama-status');
+        function bindVaultButton(id, action) {
+            var btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', function () { runVaultAction(action); });
         }
-
-        function testGeneric() {
-            var baseUrl = document.getElementById('ph-generic-base-url').value.trim() || DEFAULTS.genericBaseUrl;
-            var apiKey = document.getElementById('ph-generic-api-key').value.trim() || null;
-            runTestConnection(baseUrl, apiKey, 'ph-generic-status');
+        function choosePassphrase(title) {
+            return askPassphrase(title, "Choose a passphrase. It cannot be recovered; without it the keys have to be entered again.", true, setVaultPassphrase)
+                .then(function (passphrase) { return passphrase !== null; });
         }
+        bindVaultButton('ph-vault-enable-btn', function () { return choosePassphrase("Encrypt API keys"); });
+        bindVaultButton('ph-vault-change-btn', function () { return choosePassphrase("Change passphrase"); });
+        bindVaultButton('ph-vault-unlock-btn', ensureVaultUnlocked);
+        bindVaultButton('ph-vault-lock-btn', lockVault);
+        bindVaultButton('ph-vault-remove-btn', function () {
+            if (!confirm('Store the API keys in plain text again?')) return false;
+            removeVault();
+        });
 
-        document.getElementById('ph-test-copilot-btn').addEventListener('click', testAndPopulateCopilot);
-        document.getElementById('ph-test-lmstudio-btn').addEventListener('click', testAndPopulateLmStudio);
-        document.getElementById('ph-test-ollama-btn').addEventListener('click', testOllama);
-        document.getElementById('ph-test-generic-btn').addEventListener('click', testGeneric);
+        document.getElementById('ph-export-btn').addEventListener('click', function () {
+            try {
+                exportSettings(document.getElementById('ph-export-secrets').checked);
+            } catch (err) {
+                alert(err.message || err);
+            }
+        });
+        document.getElementById('ph-import-btn').addEventListener('click', function () {
+            document.getElementById('ph-ai-settings-modal').remove();
+            createImportDialog();
+        });
 
         document.getElementById('ph-cancel-btn').addEventListener('click', function () {
+            setCustomProviders(settings.customProviders);
             document.getElementById('ph-ai-settings-modal').remove();
         });
 
@@ -815,51 +4757,753 @@
                 if (!el) return def || "";
                 return el.value || (el.selectedOptions && el.selectedOptions[0] ? el.selectedOptions[0].value : "") || def || "";
             }
+            var provider = getVal('ph-provider', DEFAULTS.provider);
+            if (usesKeyField(provider)) apiKeys[provider] = getVal('ph-api-key', DEFAULTS.apiKey);
+            if (customModelProvider) customModels[customModelProvider] = getVal('ph-custom-model', '');
+            Object.keys(customModels).forEach(function (p) { if (!customModels[p]) delete customModels[p]; });
+            Object.keys(apiKeys).forEach(function (p) { if (!apiKeys[p]) delete apiKeys[p]; });
+            storeTemplateFields();
+            storeCustomProviderFields();
             const newSettings = {
-                provider: getVal('ph-provider', DEFAULTS.provider),
+                profileName: settings.profileName,
+                provider: provider,
                 apiKey: getVal('ph-api-key', DEFAULTS.apiKey),
-                modelName: getVal('ph-model-name', DEFAULTS.modelName),
-                openRouterModel: getVal('ph-or-model-name', DEFAULTS.openRouterModel),
-                openaiModel: getVal('ph-openai-model', DEFAULTS.openaiModel),
-                groqModel: getVal('ph-groq-model', DEFAULTS.groqModel),
                 ollamaBaseUrl: getVal('ph-ollama-base-url', DEFAULTS.ollamaBaseUrl),
-                ollamaModel: getVal('ph-ollama-model', DEFAULTS.ollamaModel),
+                ollamaModel: getSelectVal('ph-ollama-model', DEFAULTS.ollamaModel),
+                ollamaNativeApi: document.getElementById('ph-ollama-native').checked,
+                ollamaNumCtx: Math.max(0, parseInt(document.getElementById('ph-ollama-num-ctx').value, 10) || 0),
+                ollamaKeepAlive: getVal('ph-ollama-keep-alive', ''),
+                ollamaOptions: parseOllamaOptions(getVal('ph-ollama-options', '')),
                 lmStudioBaseUrl: getVal('ph-lmstudio-base-url', DEFAULTS.lmStudioBaseUrl),
                 lmStudioModel: getSelectVal('ph-lmstudio-model', DEFAULTS.lmStudioModel),
-                togetherModel: getVal('ph-together-model', DEFAULTS.togetherModel),
-                fireworksModel: getVal('ph-fireworks-model', DEFAULTS.fireworksModel),
-                mistralModel: getVal('ph-mistral-model', DEFAULTS.mistralModel),
-                anthropicModel: getVal('ph-anthropic-model', DEFAULTS.anthropicModel),
                 copilotBaseUrl: getVal('ph-copilot-base-url', DEFAULTS.copilotBaseUrl),
                 copilotModel: getSelectVal('ph-copilot-model', DEFAULTS.copilotModel),
                 genericBaseUrl: getVal('ph-generic-base-url', DEFAULTS.genericBaseUrl),
                 genericModel: getVal('ph-generic-model', DEFAULTS.genericModel),
                 genericApiKey: getVal('ph-generic-api-key', DEFAULTS.genericApiKey),
-                thinkingBudget: parseInt(document.getElementById('ph-thinking-budget').value, 10) || DEFAULTS.thinkingBudget
+                fixtureSet: getVal('ph-fixture-set', DEFAULTS.fixtureSet) || DEFAULTS.fixtureSet,
+                fixtureMatch: getVal('ph-fixture-match', DEFAULTS.fixtureMatch),
+                fixtureMinSimilarity: Math.min(1, Math.max(0, parseFloat(document.getElementById('ph-fixture-similarity').value) || 0)),
+                recordFixtures: document.getElementById('ph-record-fixtures').checked,
+                thinkingBudget: parseInt(document.getElementById('ph-thinking-budget').value, 10) || DEFAULTS.thinkingBudget,
+                reasoning: document.getElementById('ph-reasoning').value,
+                apiKeys: apiKeys,
+                fallbackChain: parseProviderChain(document.getElementById('ph-fallback-chain').value),
+                fallbackToGame: document.getElementById('ph-fallback-to-game').checked,
+                strictPrivacy: document.getElementById('ph-strict-privacy').checked,
+                routingRules: parseRoutingRules(document.getElementById('ph-routing-rules').value),
+                promptTemplates: templates,
+                generationParams: parseGenerationParams(document.getElementById('ph-generation-params').value),
+                structuredOutputModes: parseStructuredOutputModes(document.getElementById('ph-structured-modes').value),
+                contextLengths: parseContextLengths(document.getElementById('ph-context-lengths').value),
+                outputReserveTokens: Math.max(1, parseInt(document.getElementById('ph-output-reserve').value, 10) || DEFAULTS.outputReserveTokens),
+                contextOverflow: getVal('ph-context-overflow', DEFAULTS.contextOverflow),
+                contextRerouteEntry: getVal('ph-context-reroute', DEFAULTS.contextRerouteEntry),
+                repairAttempts: Math.max(0, parseInt(document.getElementById('ph-repair-attempts').value, 10) || 0),
+                connectTimeoutSec: Math.max(0, parseFloat(document.getElementById('ph-connect-timeout').value) || 0),
+                totalTimeoutSec: Math.max(0, parseFloat(document.getElementById('ph-total-timeout').value) || 0),
+                providerTimeouts: parseProviderTimeouts(document.getElementById('ph-provider-timeouts').value),
+                retryCount: Math.min(10, Math.max(0, parseInt(document.getElementById('ph-retry-count').value, 10) || 0)),
+                retryMaxWaitSec: Math.max(0, parseFloat(document.getElementById('ph-retry-max-wait').value) || 0),
+                rateLimits: parseRateLimits(document.getElementById('ph-rate-limits').value),
+                priceTable: parsePriceTable(document.getElementById('ph-price-table').value),
+                dailyCapUsd: Math.max(0, parseFloat(document.getElementById('ph-daily-cap').value) || 0),
+                monthlyCapUsd: Math.max(0, parseFloat(document.getElementById('ph-monthly-cap').value) || 0),
+                capAction: getVal('ph-cap-action', DEFAULTS.capAction),
+                capRerouteEntry: getVal('ph-cap-reroute', DEFAULTS.capRerouteEntry),
+                cacheEnabled: document.getElementById('ph-cache-enabled').checked,
+                cacheStages: getVal('ph-cache-stages', DEFAULTS.cacheStages) || "*",
+                cacheSkipChat: document.getElementById('ph-cache-skip-chat').checked,
+                cacheMaxEntries: Math.max(1, parseInt(document.getElementById('ph-cache-max-entries').value, 10) || DEFAULTS.cacheMaxEntries),
+                cacheMaxAgeHours: Math.max(0, parseFloat(document.getElementById('ph-cache-max-age').value) || 0),
+                compareEnabled: document.getElementById('ph-compare-enabled').checked,
+                comparePrimary: getVal('ph-compare-primary', ''),
+                compareCandidate: getVal('ph-compare-candidate', ''),
+                compareChoice: getVal('ph-compare-choice', DEFAULTS.compareChoice),
+                customProviders: getUsableCustomProviders(customProviders),
+                customModels: customModels
             };
+            BUILTIN_PROVIDERS.forEach(function (def) {
+                if (def.ui === "generated") newSettings[def.modelKey] = getVal(def.modelInput, DEFAULTS[def.modelKey]);
+            });
+            var droppedProviders = customProviders.length - newSettings.customProviders.length;
             saveSettings(newSettings);
             document.getElementById('ph-ai-settings-modal').remove();
             createOrUpdateIndicator();
 
-            const toast = document.createElement('div');
-            toast.textContent = 'Settings saved. Changes apply immediately (no reload needed).';
-            Object.assign(toast.style, {
-                position: 'fixed', bottom: '30px', left: '50%', transform: 'translateX(-50%)',
-                background: '#2ecc40', color: '#fff', padding: '12px 24px', borderRadius: '8px',
-                fontSize: '14px', fontFamily: 'sans-serif', fontWeight: 'bold',
-                zIndex: '10001', opacity: '1', transition: 'opacity 0.5s ease',
-                boxShadow: '0 4px 12px rgba(0,0,0,0.3)'
+            showToast('Settings saved to profile "' + settings.profileName + '". Changes apply immediately (no reload needed).' +
+                (droppedProviders ? ' ' + droppedProviders + ' incomplete or duplicate custom provider(s) were not saved.' : '') +
+                (isUnlistedModel(newSettings) ? ' Note: "' + getModelId(newSettings) + '" is not in the provider\'s model list.' : ''));
+        });
+
+        // Fill the local model lists once the modal is shown, unless it was closed in the meantime
+        setTimeout(function () {
+            if (!document.getElementById('ph-ai-settings-modal')) return;
+            if (settings.provider === 'copilot') testAndPopulateCopilot();
+            else if (settings.provider === 'lmstudio') testAndPopulateLmStudio();
+            else if (settings.provider === 'ollama') testAndPopulateOllama();
+        }, 100);
+    }
+
+    // === IMPORT DIALOG ===
+    function createImportDialog() {
+        if (document.getElementById('ph-ai-import-modal')) return;
+        var wrap = document.createElement('div');
+        wrap.id = 'ph-ai-import-modal';
+        wrap.innerHTML = `
+            <style>
+                #ph-ai-import-modal { position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.7); z-index: 10001; display: flex; justify-content: center; align-items: center; padding: 12px; box-sizing: border-box; font-family: system-ui, -apple-system, sans-serif; }
+                #ph-ai-import-box { background: #222; color: #fff; padding: 16px; border-radius: 8px; width: 100%; max-width: 560px; max-height: calc(100vh - 24px); overflow-y: auto; box-sizing: border-box; font-size: 0.9rem; }
+                #ph-ai-import-box h2 { margin: 0 0 12px; font-size: 1.1rem; border-bottom: 1px solid #444; padding-bottom: 8px; }
+                #ph-ai-import-box textarea { width: 100%; margin-top: 6px; padding: 8px; background: #333; color: #fff; border: 1px solid #555; border-radius: 4px; box-sizing: border-box; font-family: monospace; font-size: 0.8rem; }
+                #ph-ai-import-box button { padding: 8px 14px; font-size: 0.9rem; border: none; border-radius: 4px; cursor: pointer; color: #fff; }
+                #ph-ai-import-box button:disabled { opacity: 0.5; cursor: default; }
+                #ph-import-preview { margin-top: 10px; font-size: 0.8rem; }
+                #ph-import-preview table { width: 100%; border-collapse: collapse; }
+                #ph-import-preview td { border-top: 1px solid #333; padding: 3px 4px; vertical-align: top; word-break: break-word; font-family: monospace; }
+            </style>
+            <div id="ph-ai-import-box">
+                <h2>Import Settings</h2>
+                <div>Paste an exported settings document, or choose a file:</div>
+                <textarea id="ph-import-text" rows="8" placeholder='{ "format": "pax-ai-hook-settings", ... }'></textarea>
+                <input type="file" id="ph-import-file" accept=".json,application/json" style="margin-top: 6px;">
+                <div id="ph-import-preview"></div>
+                <div style="margin-top: 16px; display: flex; flex-wrap: wrap; gap: 8px; justify-content: flex-end;">
+                    <button id="ph-import-cancel-btn" type="button" style="background: #555;">Cancel</button>
+                    <button id="ph-import-preview-btn" type="button" style="background: #6c757d;">Preview changes</button>
+                    <button id="ph-import-apply-btn" type="button" style="background: #007bff;" disabled>Apply</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(wrap);
+
+        var textEl = document.getElementById('ph-import-text');
+        var previewEl = document.getElementById('ph-import-preview');
+        var applyBtn = document.getElementById('ph-import-apply-btn');
+        var pending = null;
+
+        function preview() {
+            pending = null;
+            applyBtn.disabled = true;
+            var imported;
+            try {
+                imported = parseSettingsImport(JSON.parse(textEl.value));
+            } catch (err) {
+                previewEl.innerHTML = '<div style="color: #dc3545;">Invalid document: ' + escapeHtml(err.message || err) + '</div>';
+                return;
+            }
+            var diffs = diffSettingsImport(imported);
+            var html = '';
+            if (imported.warnings.length) {
+                html += '<div style="color: #ffc107; margin-bottom: 6px;">' + imported.warnings.map(escapeHtml).join('<br>') + '</div>';
+            }
+            if (!diffs.length) {
+                html += '<div style="color: #aaa;">No changes: these settings are already in use.</div>';
+            } else {
+                html += '<div style="margin-bottom: 4px;">' + diffs.length + ' change(s):</div><table>' + diffs.map(function (d) {
+                    return '<tr><td>' + escapeHtml(d.path) + '</td><td style="color: #f88;">' + escapeHtml(d.from) + '</td><td style="color: #8f8;">' + escapeHtml(d.to) + '</td></tr>';
+                }).join('') + '</table>';
+                pending = imported;
+                applyBtn.disabled = false;
+            }
+            previewEl.innerHTML = html;
+        }
+
+        textEl.addEventListener('input', function () {
+            pending = null;
+            applyBtn.disabled = true;
+        });
+        document.getElementById('ph-import-file').addEventListener('change', function () {
+            var file = this.files && this.files[0];
+            if (!file) return;
+            file.text().then(function (text) {
+                textEl.value = text;
+                preview();
+            });
+        });
+        document.getElementById('ph-import-preview-btn').addEventListener('click', preview);
+        document.getElementById('ph-import-cancel-btn').addEventListener('click', function () { wrap.remove(); });
+        applyBtn.addEventListener('click', function () {
+            if (!pending) return;
+            applySettingsImport(pending);
+            wrap.remove();
+            showToast('Settings imported. Active profile: "' + pending.activeProfile + '".');
+        });
+    }
+
+    function exportSettingsFromMenu() {
+        try {
+            exportSettings(confirm('Include API keys in the export?\n\nOK = include keys, Cancel = redact them.'));
+        } catch (err) {
+            alert(err.message || err);
+        }
+    }
+
+    // === PASSPHRASE DIALOG ===
+    // Resolves to the passphrase once `onSubmit(passphrase)` succeeds, or null when cancelled.
+    // Errors from onSubmit (e.g. a wrong passphrase) are shown in the dialog so the user can retry.
+    function askPassphrase(title, message, confirmTwice, onSubmit) {
+        return new Promise(function (resolve) {
+            var wrap = document.createElement('div');
+            wrap.id = 'ph-ai-passphrase-modal';
+            wrap.innerHTML = `
+                <style>
+                    #ph-ai-passphrase-modal { position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.7); z-index: 10002; display: flex; justify-content: center; align-items: center; padding: 12px; box-sizing: border-box; font-family: system-ui, -apple-system, sans-serif; }
+                    #ph-ai-passphrase-box { background: #222; color: #fff; padding: 16px; border-radius: 8px; width: 100%; max-width: 360px; box-sizing: border-box; font-size: 0.9rem; }
+                    #ph-ai-passphrase-box h2 { margin: 0 0 12px; font-size: 1.1rem; border-bottom: 1px solid #444; padding-bottom: 8px; }
+                    #ph-ai-passphrase-box input { width: 100%; padding: 8px; margin-top: 8px; background: #333; color: #fff; border: 1px solid #555; border-radius: 4px; box-sizing: border-box; }
+                    #ph-ai-passphrase-box button { padding: 8px 14px; font-size: 0.9rem; border: none; border-radius: 4px; cursor: pointer; color: #fff; }
+                </style>
+                <form id="ph-ai-passphrase-box">
+                    <h2>${escapeHtml(title)}</h2>
+                    <div>${escapeHtml(message)}</div>
+                    <input type="password" id="ph-passphrase" placeholder="Passphrase" autocomplete="off">
+                    ${confirmTwice ? '<input type="password" id="ph-passphrase-confirm" placeholder="Repeat passphrase" autocomplete="off">' : ''}
+                    <div id="ph-passphrase-error" style="margin-top: 8px; color: #dc3545; min-height: 1em;"></div>
+                    <div style="margin-top: 12px; display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="ph-passphrase-cancel" type="button" style="background: #555;">Cancel</button>
+                        <button type="submit" style="background: #007bff;">OK</button>
+                    </div>
+                </form>
+            `;
+            document.body.appendChild(wrap);
+            var input = document.getElementById('ph-passphrase');
+            var errorEl = document.getElementById('ph-passphrase-error');
+            input.focus();
+
+            document.getElementById('ph-passphrase-cancel').addEventListener('click', function () {
+                wrap.remove();
+                resolve(null);
+            });
+            document.getElementById('ph-ai-passphrase-box').addEventListener('submit', function (e) {
+                e.preventDefault();
+                var passphrase = input.value;
+                if (!passphrase) {
+                    errorEl.textContent = 'Enter a passphrase.';
+                    return;
+                }
+                if (confirmTwice && passphrase !== document.getElementById('ph-passphrase-confirm').value) {
+                    errorEl.textContent = 'The passphrases do not match.';
+                    return;
+                }
+                errorEl.textContent = 'Working...';
+                Promise.resolve(onSubmit(passphrase)).then(function () {
+                    wrap.remove();
+                    resolve(passphrase);
+                }, function (err) {
+                    errorEl.textContent = err.message || String(err);
+                    input.select();
+                });
+            });
+        });
+    }
+
+    // === A/B COMPARISON ===
+    // With compareEnabled every request goes to a primary and a candidate entry in parallel.
+    // compareChoice decides what the game gets: "manual" (the player picks in an overlay),
+    // "first-valid" or "primary" (unless invalid). Both sides are logged with their timings in
+    // GM "compareLog" once they finish, also when the game was already answered.
+    // Comparison requests skip the fallback chain and the response cache.
+    const COMPARE_CHOICES = ["manual", "first-valid", "primary"];
+    const COMPARE_LOG_KEY = "compareLog";
+    const COMPARE_LOG_SIZE = 500;
+
+    function getComparisonEntries(settings, request) {
+        var candidate = parseProviderEntry(settings.compareCandidate || "");
+        if (!candidate) return null;
+        return {
+            primary: parseProviderEntry(settings.comparePrimary || "") || resolveRoute(settings, request).entry,
+            candidate: candidate
+        };
+    }
+
+    function isSideDone(side) {
+        return side.latencyMs !== null;
+    }
+
+    // Answered side with the fewest schema violations (the primary on a tie), or null
+    function getBestAnsweredSide(sides) {
+        return sides.filter(function (side) { return side.answer; }).sort(function (a, b) {
+            return a.answer.violations.length - b.answer.violations.length;
+        })[0] || null;
+    }
+
+    // Resolves with the side chosen by `choice` as soon as it is decided
+    function pickComparisonSide(choice, sides, runs) {
+        return new Promise(function (resolve) {
+            function decide() {
+                if (choice === "first-valid") {
+                    var valid = sides.find(function (side) { return side.valid; });
+                    if (valid) return resolve(valid);
+                } else {
+                    if (sides[0].valid) return resolve(sides[0]);
+                    if (isSideDone(sides[0]) && sides[1].valid) return resolve(sides[1]);
+                }
+                if (sides.every(isSideDone)) resolve(getBestAnsweredSide(sides));
+            }
+            runs.forEach(function (run) { run.then(decide); });
+        });
+    }
+
+    function describeComparisonSide(side) {
+        if (!isSideDone(side)) return "waiting…";
+        var time = (side.latencyMs / 1000).toFixed(1) + "s";
+        if (side.error) return time + " · error: " + (side.error.message || side.error);
+        var count = side.answer.violations.length;
+        return time + " · " + (count ? count + " schema violation" + (count === 1 ? "" : "s") : "valid");
+    }
+
+    // What the game would see: the chat message or the action JSON, indented
+    function formatComparisonBody(body, isAction) {
+        try {
+            var parsed = JSON.parse(body);
+            return isAction ? JSON.stringify(parsed, null, 2) : parsed.message;
+        } catch (e) {
+            return body;
+        }
+    }
+
+    async function runComparison(settings, request) {
+        var entries = getComparisonEntries(settings, request);
+        if (!entries) {
+            console.warn("[PAX AI] A/B comparison needs a valid candidate entry; using the normal provider chain.");
+            return runProviderChain(settings, request);
+        }
+        if (getSpendingStatus(settings).exceeded) {
+            console.warn("[PAX AI] Spending cap reached; A/B comparison skipped.");
+            return runProviderChain(settings, request);
+        }
+        var choice = COMPARE_CHOICES.indexOf(settings.compareChoice) === -1 ? "manual" : settings.compareChoice;
+        var sides = ["primary", "candidate"].map(function (role) {
+            var entrySettings = settingsForEntry(settings, entries[role]);
+            return { role: role, entry: entries[role], label: entries[role].provider + " | " + getModelLabel(entrySettings), latencyMs: null, valid: false, answer: null, error: null };
+        });
+        var overlay = choice === "manual" ? openComparisonOverlay(request, sides) : null;
+        var runs = sides.map(function (side) {
+            var startedAt = Date.now();
+            var call = hasUsableKey(settings, side.entry.provider) ? callEntry(settings, side.entry, request) : Promise.reject(new Error("no API key configured"));
+            return call.then(function (answer) {
+                side.answer = answer;
+                side.label = answer.provider + " | " + getModelLabel(answer.entrySettings);
+                side.valid = answer.violations.length === 0;
+            }, function (e) {
+                side.error = scrubError(e);
+            }).then(function () {
+                side.latencyMs = Date.now() - startedAt;
+                if (overlay) overlay.update(side);
+            });
+        });
+        var chosen;
+        try {
+            chosen = await (overlay ? overlay.choice : pickComparisonSide(choice, sides, runs));
+        } finally {
+            if (overlay) overlay.close();
+        }
+        if (request.signal && request.signal.aborted) throw createAbortError();
+        var decidedBy = overlay ? "player" : choice;
+        Promise.all(runs).then(function () {
+            logComparison(request, sides, chosen, decidedBy);
+        });
+        if (!chosen) {
+            throw new Error("Both compared providers failed. " + sides.map(function (side) {
+                return side.label + ": " + (side.error ? side.error.message || side.error : "no answer");
+            }).join(" || "));
+        }
+        console.log("%c[PAX AI] A/B: returning the " + chosen.role + " answer (" + chosen.label + ", chosen by " + decidedBy + ")", "color: violet");
+        chosen.answer.comparison = sides.map(function (side) {
+            return {
+                role: side.role,
+                label: side.label,
+                status: describeComparisonSide(side),
+                chosen: side === chosen,
+                body: side.answer ? side.answer.body : ""
+            };
+        });
+        return chosen.answer;
+    }
+
+    function loadComparisonLog() {
+        var log = GM_getValue(COMPARE_LOG_KEY, []);
+        return Array.isArray(log) ? log : [];
+    }
+
+    function logComparison(request, sides, chosen, decidedBy) {
+        var record = {
+            time: new Date().toISOString(),
+            promptStage: request.promptStage,
+            schemaName: request.gameSchema && request.gameSchema.name || "",
+            type: request.isAction ? "action" : "chat",
+            chosen: chosen ? chosen.role : null,
+            decidedBy: decidedBy
+        };
+        sides.forEach(function (side) {
+            record[side.role] = {
+                provider: side.answer ? side.answer.provider : side.entry.provider,
+                model: side.answer ? side.answer.model : side.entry.model,
+                latencyMs: side.latencyMs,
+                valid: side.valid,
+                violations: side.answer ? side.answer.violations.length : null,
+                repairs: side.answer ? side.answer.repairs : 0,
+                error: side.error ? String(side.error.message || side.error) : null
+            };
+        });
+        console.log("%c[PAX AI] A/B " + (request.promptStage || record.type) + ": " + sides.map(function (side) {
+            return side.role + " " + side.label + " " + describeComparisonSide(side);
+        }).join(" · ") + " → " + (record.chosen || "none") + " (" + decidedBy + ")", "color: violet");
+        var log = loadComparisonLog();
+        log.push(record);
+        GM_setValue(COMPARE_LOG_KEY, log.slice(-COMPARE_LOG_SIZE));
+    }
+
+    // Per provider/model: comparisons, how often it was returned, valid answers and mean latency
+    function getComparisonSummaryLines() {
+        var log = loadComparisonLog();
+        if (!log.length) return ["No comparisons logged yet."];
+        var stats = {};
+        log.forEach(function (record) {
+            ["primary", "candidate"].forEach(function (role) {
+                var side = record[role];
+                if (!side) return;
+                var key = side.provider + (side.model ? ":" + side.model : "");
+                var s = stats[key] = stats[key] || { runs: 0, chosen: 0, valid: 0, errors: 0, latency: 0, timed: 0 };
+                s.runs++;
+                if (record.chosen === role) s.chosen++;
+                if (side.valid) s.valid++;
+                if (side.error) s.errors++;
+                else if (side.latencyMs !== null) {
+                    s.latency += side.latencyMs;
+                    s.timed++;
+                }
+            });
+        });
+        return [log.length + " comparisons"].concat(Object.keys(stats).map(function (key) {
+            var s = stats[key];
+            return "  " + key + ": returned " + s.chosen + "/" + s.runs + " · valid " + s.valid + " · errors " + s.errors +
+                (s.timed ? " · avg " + (s.latency / s.timed / 1000).toFixed(1) + "s" : "");
+        }));
+    }
+
+    function exportComparisonLog() {
+        var jsonl = loadComparisonLog().map(function (record) { return JSON.stringify(record); }).join("\n") + "\n";
+        var stamp = new Date().toISOString().replace(/[:.]/g, "-").substring(0, 19);
+        downloadFile("pax-ai-comparisons-" + stamp + ".jsonl", jsonl, "application/x-ndjson");
+    }
+
+    // Shows both answers as they arrive. `choice` resolves with the side the player picks,
+    // with null when both failed, and rejects when the game cancels the request.
+    function openComparisonOverlay(request, sides) {
+        var wrap = document.createElement("div");
+        wrap.id = "ph-ai-compare-overlay";
+        wrap.innerHTML = `
+            <style>
+                #ph-ai-compare-overlay { position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.7); z-index: 10000; display: flex; justify-content: center; align-items: center; padding: 12px; box-sizing: border-box; font-family: system-ui, -apple-system, sans-serif; }
+                #ph-ai-compare-box { background: #222; color: #fff; padding: 16px; border-radius: 8px; width: 100%; max-width: 960px; max-height: calc(100vh - 24px); overflow-y: auto; box-sizing: border-box; }
+                #ph-ai-compare-box h2 { margin: 0 0 4px; font-size: 1.1rem; }
+                #ph-ai-compare-sides { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 12px; }
+                #ph-ai-compare-box .ph-ai-compare-side { flex: 1 1 300px; min-width: 0; border: 1px solid #444; border-radius: 6px; padding: 10px; }
+                #ph-ai-compare-box .ph-ai-compare-meta { font-size: 0.8rem; color: #aaa; margin-top: 2px; }
+                #ph-ai-compare-box pre { white-space: pre-wrap; word-break: break-word; max-height: 50vh; overflow-y: auto; background: #111; padding: 6px; border-radius: 4px; font-size: 0.8rem; }
+                #ph-ai-compare-box button { padding: 8px 14px; font-size: 0.9rem; border: none; border-radius: 4px; cursor: pointer; background: #28a745; color: #fff; }
+                #ph-ai-compare-box button:disabled { background: #555; cursor: default; }
+            </style>
+            <div id="ph-ai-compare-box">
+                <h2>Compare answers</h2>
+                <div class="ph-ai-compare-meta">${escapeHtml(request.promptStage || (request.isAction ? "action" : "chat"))}${request.gameSchema && request.gameSchema.name ? " / " + escapeHtml(request.gameSchema.name) : ""} · pick the answer the game receives</div>
+                <div id="ph-ai-compare-sides">
+                    ${sides.map(function (side) {
+                        return '<div class="ph-ai-compare-side" data-role="' + side.role + '">' +
+                            '<b>' + (side.role === "primary" ? "Primary" : "Candidate") + '</b> · ' + escapeHtml(side.label) +
+                            '<div class="ph-ai-compare-meta ph-ai-compare-status">waiting…</div>' +
+                            '<pre class="ph-ai-compare-body"></pre>' +
+                            '<button type="button" disabled>Use this answer</button>' +
+                            '</div>';
+                    }).join('')}
+                </div>
+            </div>
+        `;
+        document.body.appendChild(wrap);
+        var settle;
+        var choice = new Promise(function (resolve, reject) {
+            settle = { resolve: resolve, reject: reject };
+        });
+        function onAbort() {
+            settle.reject(createAbortError());
+        }
+        if (request.signal) request.signal.addEventListener("abort", onAbort);
+        sides.forEach(function (side) {
+            wrap.querySelector('[data-role="' + side.role + '"] button').addEventListener("click", function () {
+                settle.resolve(side);
             });
-            document.body.appendChild(toast);
-            setTimeout(function () { toast.style.opacity = '0'; }, 1500);
-            setTimeout(function () { toast.remove(); }, 2000);
         });
+        return {
+            choice: choice,
+            update: function (side) {
+                var el = wrap.querySelector('[data-role="' + side.role + '"]');
+                var status = el.querySelector(".ph-ai-compare-status");
+                status.textContent = describeComparisonSide(side);
+                status.style.color = side.valid ? "#28a745" : side.answer ? "#ffc107" : "#dc3545";
+                el.querySelector(".ph-ai-compare-body").textContent = side.answer ? formatComparisonBody(side.answer.body, request.isAction) : "";
+                el.querySelector("button").disabled = !side.answer;
+                if (sides.every(isSideDone) && !sides.some(function (s) { return s.answer; })) settle.resolve(null);
+            },
+            close: function () {
+                if (request.signal) request.signal.removeEventListener("abort", onAbort);
+                wrap.remove();
+            }
+        };
+    }
+
+    // === ERROR NOTICES ===
+    // In strict privacy mode a failed game request is answered with an error response at once and
+    // reported in the page. The game's request is already settled, so Retry re-runs the prompt in
+    // the background to check the fix; the player then repeats the action in the game.
+    const MAX_NOTICES = 3;
+
+    function getNoticeStack() {
+        var stack = document.getElementById("ph-ai-notices");
+        if (stack) return stack;
+        stack = document.createElement("div");
+        stack.id = "ph-ai-notices";
+        stack.innerHTML = `
+            <style>
+                #ph-ai-notices { position: fixed; right: 16px; bottom: 16px; z-index: 10001; display: flex; flex-direction: column; gap: 8px; width: min(380px, calc(100vw - 32px)); font-family: system-ui, -apple-system, sans-serif; font-size: 0.85rem; }
+                #ph-ai-notices .ph-ai-notice { background: #2a1b1b; color: #eee; border-left: 4px solid #dc3545; border-radius: 6px; padding: 10px 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.4); }
+                #ph-ai-notices .ph-ai-notice.ph-ai-notice-ok { background: #1b2a1e; border-left-color: #28a745; }
+                #ph-ai-notices .ph-ai-notice-message { margin-top: 4px; white-space: pre-wrap; word-break: break-word; max-height: 160px; overflow-y: auto; color: #ccc; }
+                #ph-ai-notices .ph-ai-notice-buttons { margin-top: 8px; display: flex; flex-wrap: wrap; gap: 6px; align-items: center; }
+                #ph-ai-notices button { padding: 6px 10px; font-size: 0.8rem; border: none; border-radius: 4px; cursor: pointer; color: #fff; background: #555; }
+                #ph-ai-notices button:disabled { opacity: 0.5; cursor: default; }
+                #ph-ai-notices select { padding: 5px; font-size: 0.8rem; background: #333; color: #fff; border: 1px solid #555; border-radius: 4px; }
+            </style>
+        `;
+        document.body.appendChild(stack);
+        return stack;
+    }
+
+    // options: { title, message, settings, request }. Without a parsed request there is nothing to retry.
+    function showErrorNotice(options) {
+        var settings = options.settings;
+        var switchTargets = getProviderDefs().filter(function (def) {
+            return def.id !== settings.provider && def.api !== "fixture" && hasUsableKey(settings, def.id);
+        });
+        var stack = getNoticeStack();
+        var old = stack.querySelectorAll(".ph-ai-notice");
+        for (var i = 0; i <= old.length - MAX_NOTICES; i++) old[i].remove();
+        var notice = document.createElement("div");
+        notice.className = "ph-ai-notice";
+        notice.innerHTML = '<b>' + escapeHtml(options.title) + '</b>' +
+            '<div class="ph-ai-notice-message">' + escapeHtml(scrubSecrets(options.message)) + '</div>' +
+            '<div class="ph-ai-notice-buttons">' +
+            (options.request ? '<button type="button" data-action="retry" style="background: #28a745;">Retry</button>' : '') +
+            (options.request && switchTargets.length ? '<select>' + switchTargets.map(function (def) {
+                return '<option value="' + escapeHtml(def.id) + '">' + escapeHtml(def.label) + '</option>';
+            }).join('') + '</select><button type="button" data-action="switch" style="background: #007bff;">Switch provider</button>' : '') +
+            '<button type="button" data-action="settings">Open settings</button>' +
+            '<button type="button" data-action="close">Close</button>' +
+            '</div>';
+        stack.appendChild(notice);
+        notice.addEventListener("click", function (event) {
+            var action = event.target.getAttribute && event.target.getAttribute("data-action");
+            if (action === "settings") {
+                createSettingsModal();
+            } else if (action === "switch") {
+                switchProvider(notice.querySelector("select").value);
+                retryFromNotice(notice, options.request);
+            } else if (action === "retry") {
+                retryFromNotice(notice, options.request);
+            } else if (action === "close") {
+                notice.remove();
+            }
+        });
+        return notice;
+    }
+
+    // Sends the failed prompt again with the current settings and shows the outcome in the notice
+    async function retryFromNotice(notice, request) {
+        var message = notice.querySelector(".ph-ai-notice-message");
+        var buttons = notice.querySelectorAll("button[data-action='retry'], button[data-action='switch']");
+        var settings = loadSettings();
+        buttons.forEach(function (button) { button.disabled = true; });
+        message.textContent = "Retrying with " + settings.provider + "...";
+        try {
+            if (!(await ensureVaultUnlocked())) throw new Error("The API keys are still locked.");
+            await runProviderChain(settings, Object.assign({}, request, { trace: null, signal: null }));
+            notice.classList.add("ph-ai-notice-ok");
+            notice.querySelector("b").textContent = "AI request works again";
+            message.textContent = "Repeat the action in the game to continue." +
+                (isCacheableRequest(settings, request) ? " The answer is cached, so it comes back at once." : "");
+        } catch (e) {
+            message.textContent = scrubSecrets(e.message || String(e));
+        }
+        buttons.forEach(function (button) { button.disabled = false; });
+    }
+
+    // Makes `provider` the provider of the active profile, as if chosen in the settings
+    function switchProvider(provider) {
+        var settings = loadSettings();
+        settings.provider = provider;
+        saveSettings(settings);
+        console.log("%c[PAX AI] Switched provider to " + provider, "color: cyan");
+        createOrUpdateIndicator();
+    }
+
+    // === REQUEST INSPECTOR ===
+    // Ring buffer of intercepted /api/simple-chat requests, newest last. Kept in memory only.
+    const INSPECTOR_HISTORY_SIZE = 50;
+    const inspectorHistory = [];
+    var inspectorSeq = 0;
+
+    function escapeHtml(text) {
+        return String(text == null ? "" : text).replace(/[&<>"']/g, function (c) {
+            return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c];
+        });
+    }
+
+    function startInspectorRecord(request) {
+        var record = {
+            id: ++inspectorSeq,
+            time: new Date().toISOString(),
+            promptStage: request.promptStage,
+            schemaName: request.gameSchema && request.gameSchema.name || "",
+            type: request.isAction ? "action" : "chat",
+            provider: "",
+            model: "",
+            prompt: request.prompt,
+            rawResponse: "",
+            thinking: "",
+            cleanedBody: "",
+            retries: 0,
+            repairs: 0,
+            usage: null,
+            cost: 0,
+            latencyMs: null,
+            status: "pending",
+            errors: []
+        };
+        record.startedAt = Date.now();
+        inspectorHistory.push(record);
+        while (inspectorHistory.length > INSPECTOR_HISTORY_SIZE) inspectorHistory.shift();
+        refreshInspector();
+        return record;
+    }
+
+    function finishInspectorRecord(record, status, fields) {
+        if (!record) return;
+        Object.assign(record, fields || {});
+        record.status = status;
+        record.latencyMs = Date.now() - record.startedAt;
+        refreshInspector();
+    }
+
+    function inspectorRecordForExport(record) {
+        var copy = Object.assign({}, record);
+        delete copy.startedAt;
+        return copy;
+    }
+
+    function exportInspectorHistory() {
+        var jsonl = inspectorHistory.map(function (record) {
+            return JSON.stringify(inspectorRecordForExport(record));
+        }).join("\n") + "\n";
+        var stamp = new Date().toISOString().replace(/[:.]/g, "-").substring(0, 19);
+        downloadFile("pax-ai-requests-" + stamp + ".jsonl", jsonl, "application/x-ndjson");
+    }
+
+    function renderInspectorEntry(record) {
+        var statusColor = { ok: "#28a745", pending: "#ffc107", error: "#dc3545", aborted: "#888", "game-backend": "#17a2b8" }[record.status] || "#fff";
+        var summary = escapeHtml(record.time.substring(11, 19)) + " · " +
+            escapeHtml(record.promptStage || record.type) + (record.schemaName ? " / " + escapeHtml(record.schemaName) : "") +
+            " · " + escapeHtml(record.provider ? record.provider + " | " + record.model : "…") +
+            (record.latencyMs != null ? " · " + (record.latencyMs / 1000).toFixed(1) + "s" : "");
+        function block(title, text) {
+            return '<div class="ph-ai-insp-label">' + title + '</div><pre>' + escapeHtml(text || "—") + '</pre>';
+        }
+        return '<details data-id="' + record.id + '">' +
+            '<summary><span style="color: ' + statusColor + ';">●</span> ' + summary + '</summary>' +
+            '<div class="ph-ai-insp-meta">Status: ' + escapeHtml(record.status) + ' · Type: ' + record.type +
+            ' · Retries: ' + record.retries + ' · Repairs: ' + record.repairs + (record.cached ? ' · From cache' : '') +
+            (record.usage ? ' · Tokens: ' + record.usage.input + ' in / ' + record.usage.output + ' out / ' + record.usage.thinking + ' think · $' + record.cost.toFixed(4) : '') + '</div>' +
+            (record.errors.length ? block("Errors", record.errors.join("\n")) : "") +
+            block("Prompt", record.prompt) +
+            (record.thinking ? block("Thinking (not sent to game)", record.thinking) : "") +
+            block("Raw response", record.rawResponse) +
+            block("Cleaned body (sent to game)", record.cleanedBody) +
+            (record.comparison ? block("A/B comparison", record.comparison.map(function (side) {
+                return (side.chosen ? "▶ " : "  ") + side.role + " · " + side.label + " · " + side.status + (side.chosen ? "" : "\n" + side.body);
+            }).join("\n")) : "") +
+            '</details>';
+    }
+
+    function refreshQueueIndicator() {
+        var badge = document.querySelector && document.querySelector("#ph-ai-indicator .ph-ai-indicator-queue");
+        if (!badge) return;
+        var depth = getQueueDepth();
+        badge.textContent = "⏳ " + depth;
+        badge.title = ["Requests waiting for a provider slot"].concat(getQueueSummaryLines()).join("\n");
+        badge.style.display = depth ? "inline" : "none";
+    }
+
+    function refreshInspector() {
+        var count = document.querySelector && document.querySelector("#ph-ai-indicator .ph-ai-indicator-inspect");
+        if (count) count.textContent = "▤ " + inspectorHistory.length;
+        var list = document.getElementById && document.getElementById("ph-ai-inspector-list");
+        if (!list) return;
+        var open = {};
+        list.querySelectorAll("details[open]").forEach(function (el) { open[el.getAttribute("data-id")] = true; });
+        list.innerHTML = inspectorHistory.length
+            ? inspectorHistory.slice().reverse().map(renderInspectorEntry).join("")
+            : '<div class="ph-ai-insp-meta">No requests intercepted yet.</div>';
+        list.querySelectorAll("details").forEach(function (el) {
+            if (open[el.getAttribute("data-id")]) el.open = true;
+        });
+    }
 
-        if (settings.provider === 'copilot') setTimeout(function () { testAndPopulateCopilot(); }, 100);
-        else if (settings.provider === 'lmstudio') setTimeout(function () { testAndPopulateLmStudio(); }, 100);
+    function createInspectorPanel() {
+        if (document.getElementById("ph-ai-inspector")) return;
+        var panel = document.createElement("div");
+        panel.id = "ph-ai-inspector";
+        panel.innerHTML = `
+            <style>
+                #ph-ai-inspector { position: fixed; top: 0; right: 0; bottom: 0; width: min(640px, 100vw); background: #1b1b1b; color: #eee; z-index: 10000; display: flex; flex-direction: column; font-family: system-ui, -apple-system, sans-serif; font-size: 0.85rem; box-shadow: -4px 0 20px rgba(0,0,0,0.5); }
+                #ph-ai-inspector-header { display: flex; align-items: center; gap: 8px; padding: 10px 12px; border-bottom: 1px solid #444; }
+                #ph-ai-inspector-header h2 { margin: 0; font-size: 1rem; flex: 1; }
+                #ph-ai-inspector button { padding: 6px 12px; font-size: 0.85rem; border: none; border-radius: 4px; cursor: pointer; color: #fff; }
+                #ph-ai-inspector-list { flex: 1; overflow-y: auto; padding: 8px 12px; }
+                #ph-ai-inspector-list details { border-bottom: 1px solid #333; padding: 6px 0; }
+                #ph-ai-inspector-list summary { cursor: pointer; }
+                #ph-ai-inspector-list pre { white-space: pre-wrap; word-break: break-word; max-height: 240px; overflow-y: auto; background: #111; padding: 6px; border-radius: 4px; margin: 2px 0 6px; font-size: 0.8rem; }
+                #ph-ai-inspector .ph-ai-insp-label { margin-top: 6px; color: #aaa; font-weight: 600; }
+                #ph-ai-inspector .ph-ai-insp-meta { margin-top: 4px; color: #aaa; }
+            </style>
+            <div id="ph-ai-inspector-header">
+                <h2>Request Inspector</h2>
+                <button id="ph-ai-inspector-export" type="button" style="background: #007bff;">Export JSONL</button>
+                <button id="ph-ai-inspector-clear" type="button" style="background: #555;">Clear</button>
+                <button id="ph-ai-inspector-close" type="button" style="background: #555;">Close</button>
+            </div>
+            <div id="ph-ai-inspector-list"></div>
+        `;
+        document.body.appendChild(panel);
+        document.getElementById("ph-ai-inspector-export").addEventListener("click", exportInspectorHistory);
+        document.getElementById("ph-ai-inspector-clear").addEventListener("click", function () {
+            inspectorHistory.length = 0;
+            refreshInspector();
+        });
+        document.getElementById("ph-ai-inspector-close").addEventListener("click", function () {
+            panel.remove();
+        });
+        refreshInspector();
     }
 
     GM_registerMenuCommand("Open AI Settings", createSettingsModal);
+    GM_registerMenuCommand("Open Request Inspector", createInspectorPanel);
+    GM_registerMenuCommand("Export Settings", exportSettingsFromMenu);
+    GM_registerMenuCommand("Import Settings", createImportDialog);
+    GM_registerMenuCommand("Unlock API Keys", ensureVaultUnlocked);
+    GM_registerMenuCommand("Lock API Keys", function () {
+        if (isVaultEnabled()) lockVault();
+        else alert("API keys are not encrypted. Set a passphrase under Key storage in the settings.");
+    });
 
     ensureIndicator();
 
@@ -867,246 +5511,370 @@
     // When using GM_ functions, we must use unsafeWindow to access the page's fetch
     const originalFetch = unsafeWindow.fetch.bind(unsafeWindow);
 
-    unsafeWindow.fetch = async function (url, options) {
-        if (url && url.toString().includes('/api/simple-chat')) {
-            const settings = loadSettings();
+    function parseGameRequest(options) {
+        var request = { prompt: "", isAction: false, gameSchema: null, promptStage: "", signal: options && options.signal || null };
+        if (options && options.body) {
+            const payload = JSON.parse(options.body);
+            request.prompt = payload.prompt || "";
+            request.promptStage = payload.promptStage || "";
 
-            const noApiKeyProviders = ['ollama', 'lmstudio', 'copilot', 'generic'];
-            const needsApiKey = noApiKeyProviders.indexOf(settings.provider) === -1;
-            if (needsApiKey && !settings.apiKey) {
-                console.warn("[PAX AI] No API Key configured. Please open settings via Tampermonkey menu.");
-                return originalFetch(url, options);
+            // DETERMINE REQUEST TYPE
+            if (payload.promptStage === "chatWithUser") {
+                request.isAction = false;
+            } else if (payload.jsonSchema) {
+                request.isAction = true;
+                request.gameSchema = payload.jsonSchema; // raw schema object from the game
+            }
+        }
+        return request;
+    }
+
+    // === JSON EXTRACTION ===
+    // Action answers can arrive wrapped in reasoning tags, prose or several JSON values.
+    // The extractor finds every balanced {...}/[...] value, parses it (leniently if needed)
+    // and keeps the one that fits the game's schema best.
+    const REASONING_TAG_PATTERNS = [
+        /<(think|thinking|thought|reasoning|reflection)>[\s\S]*?<\/\1>/gi,
+        /<\|begin_of_thought\|>[\s\S]*?<\|end_of_thought\|>/g,
+        /<\|(begin|end)_of_solution\|>/g
+    ];
+    const MAX_JSON_SCAN_ATTEMPTS = 50;
+
+    function stripReasoningTags(text) {
+        var out = text || "";
+        REASONING_TAG_PATTERNS.forEach(function (pattern) {
+            out = out.replace(pattern, "");
+        });
+        // Some chat templates swallow the opening tag, leaving "...</think>" before the answer
+        var close = out.search(/<\/(think|thinking|reasoning)>/i);
+        if (close !== -1) out = out.substring(out.indexOf(">", close) + 1);
+        // An answer cut off while still thinking has nothing usable after the tag
+        return out.replace(/<(think|thinking|reasoning)>[\s\S]*$/i, "").trim();
+    }
+
+    // Index just past the string starting at `start` (either quote kind), or -1 if it never closes
+    function skipJsonString(text, start) {
+        var quote = text.charAt(start);
+        for (var i = start + 1; i < text.length; i++) {
+            var c = text.charAt(i);
+            if (c === "\\") i++;
+            else if (c === quote) return i + 1;
+        }
+        return -1;
+    }
+
+    // End (exclusive) of the balanced value opening at `start`, or -1 if it never closes
+    function findBalancedEnd(text, start) {
+        var stack = [];
+        for (var i = start; i < text.length; i++) {
+            var c = text.charAt(i);
+            if (c === '"' || c === "'") {
+                var end = skipJsonString(text, i);
+                if (end === -1) return -1;
+                i = end - 1;
+            } else if (c === "{" || c === "[") {
+                stack.push(c === "{" ? "}" : "]");
+            } else if (c === "}" || c === "]") {
+                if (stack.pop() !== c) return -1;
+                if (!stack.length) return i + 1;
             }
+        }
+        return -1;
+    }
+
+    // Top-level balanced values in order of appearance
+    function findJsonCandidates(text) {
+        var candidates = [];
+        var attempts = 0;
+        for (var i = 0; i < text.length && attempts < MAX_JSON_SCAN_ATTEMPTS; i++) {
+            var c = text.charAt(i);
+            if (c !== "{" && c !== "[") continue;
+            attempts++;
+            var end = findBalancedEnd(text, i);
+            if (end === -1) continue;
+            candidates.push(text.substring(i, end));
+            i = end - 1;
+        }
+        return candidates;
+    }
+
+    // Lenient fixes for near-JSON: comments, single-quoted strings, unquoted keys,
+    // Python literals and trailing commas. Double-quoted strings are copied unchanged.
+    function repairJson(text) {
+        var out = "";
+        var i = 0;
+        while (i < text.length) {
+            var c = text.charAt(i);
+            var rest = text.substring(i);
+            var m;
+            if (c === '"') {
+                var end = skipJsonString(text, i);
+                if (end === -1) end = text.length;
+                out += text.substring(i, end);
+                i = end;
+            } else if (c === "'") {
+                var close = skipJsonString(text, i);
+                if (close === -1) close = text.length;
+                out += '"' + convertSingleQuoted(text.substring(i + 1, close - 1)) + '"';
+                i = close;
+            } else if (rest.startsWith("//")) {
+                var eol = text.indexOf("\n", i);
+                i = eol === -1 ? text.length : eol;
+            } else if (rest.startsWith("/*")) {
+                var endComment = text.indexOf("*/", i + 2);
+                i = endComment === -1 ? text.length : endComment + 2;
+            } else if ((m = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(rest))) {
+                out += m[0];
+                i += m[0].length;
+            } else if ((m = /^[A-Za-z_$][\w$]*/.exec(rest))) {
+                var word = m[0];
+                if (/^\s*:/.test(text.substring(i + word.length))) out += '"' + word + '"';
+                else out += { True: "true", False: "false", None: "null" }[word] || word;
+                i += word.length;
+            } else if (c === "," && /^,(\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*[}\]]/.test(rest)) {
+                i++;
+            } else {
+                out += c;
+                i++;
+            }
+        }
+        return out;
+    }
+
+    // Body of a '...' string as the body of a "..." string
+    function convertSingleQuoted(body) {
+        var out = "";
+        for (var i = 0; i < body.length; i++) {
+            var c = body.charAt(i);
+            if (c === "\\" && body.charAt(i + 1) === "'") {
+                out += "'";
+                i++;
+            } else if (c === "\\") {
+                out += c + body.charAt(i + 1);
+                i++;
+            } else if (c === '"') {
+                out += '\\"';
+            } else {
+                out += c;
+            }
+        }
+        return out;
+    }
 
+    // { value, repaired } or null when even the repaired text does not parse
+    function parseLenientJson(text) {
+        try {
+            return { value: JSON.parse(text), repaired: false };
+        } catch (e) {
             try {
-                let userPrompt = "";
-                let isAction = false;
-                let gameSchema = null; // raw schema object from the game
-
-                if (options.body) {
-                    const payload = JSON.parse(options.body);
-                    userPrompt = payload.prompt || "";
-
-                    // DETERMINE REQUEST TYPE
-                    if (payload.promptStage === "chatWithUser") {
-                        isAction = false;
-                    } else if (payload.jsonSchema) {
-                        isAction = true;
-                        gameSchema = payload.jsonSchema;
-                    }
-                }
+                return { value: JSON.parse(repairJson(text)), repaired: true };
+            } catch (e2) {
+                return null;
+            }
+        }
+    }
 
-                console.log(`%c[PAX AI] TYPE: ${isAction ? "ACTION (RAW JSON)" : "CHAT (WRAPPER)"} | Provider: ${settings.provider}`, "background: blue; color: white; padding: 5px; font-weight: bold;");
-
-                let finalPrompt = userPrompt;
-                // Native structured output for ALL action types (prompt-based schema injection
-                // causes AI to dump schema text and ignore player's request)
-
-                let responseText = "";
-
-                if (settings.provider === 'google') {
-                    responseText = await withRetry(async function () {
-                        const googleUrl = `https://generativelanguage.googleapis.com/v1beta/models/${settings.modelName}:generateContent?key=${settings.apiKey}`;
-                        const genConfig = {
-                            temperature: 0.7,
-                            thinkingConfig: {
-                                include_thoughts: true,
-                                thinking_budget: settings.thinkingBudget
-                            }
-                        };
-                        if (isAction && gameSchema) {
-                            genConfig.responseMimeType = "application/json";
-                            genConfig.responseSchema = convertSchemaForGoogle(gameSchema);
-                            console.log("%c[PAX AI] Using native responseSchema for: " + (gameSchema.name || "unknown"), "color: cyan");
-                        }
-                        const googlePayload = {
-                            contents: [{ parts: [{ text: finalPrompt }] }],
-                            generationConfig: genConfig
-                        };
-                        const myResponse = await originalFetch(googleUrl, {
-                            method: "POST",
-                            headers: { "Content-Type": "application/json" },
-                            body: JSON.stringify(googlePayload)
-                        });
-                        if (!myResponse.ok) {
-                            const errText = await myResponse.text();
-                            const err = new Error("Google API Error: " + errText);
-                            err.status = myResponse.status;
-                            throw err;
-                        }
-                        const myJson = await myResponse.json();
-                        const parts = myJson.candidates?.[0]?.content?.parts || [];
-                        for (let i = parts.length - 1; i >= 0; i--) {
-                            if (parts[i].text) return parts[i].text;
-                        }
-                        return "";
-                    });
+    // Best candidate: the schema's root type first, then the fewest violations, then the longest.
+    // Resolves to { text, repaired, index, count } or null when no candidate parses.
+    function extractJson(text, gameSchema) {
+        var schema = gameSchema && gameSchema.schema ? gameSchema.schema : gameSchema;
+        var rootType = schema && typeof schema.type === "string" ? schema.type : "object";
+        var candidates = findJsonCandidates(text);
+        var best = null;
+        candidates.forEach(function (candidate, index) {
+            var parsed = parseLenientJson(candidate);
+            if (!parsed) return;
+            var scored = {
+                text: parsed.repaired ? JSON.stringify(parsed.value) : candidate,
+                repaired: parsed.repaired,
+                index: index,
+                count: candidates.length,
+                rank: [
+                    matchesJsonType(parsed.value, rootType) ? 0 : 1,
+                    schema ? validateAgainstSchema(parsed.value, gameSchema).length : 0,
+                    -candidate.length
+                ]
+            };
+            if (!best || compareRanks(scored.rank, best.rank) < 0) best = scored;
+        });
+        return best;
+    }
 
-                } else if (settings.provider === 'anthropic') {
-                    responseText = await withRetry(async function () {
-                        return callAnthropicApi(settings, finalPrompt, isAction && !!gameSchema, gameSchema);
-                    });
+    function compareRanks(a, b) {
+        for (var i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+        return 0;
+    }
+
+    // === CLEANUP & SURGERY ===
+    function cleanModelOutput(responseText, isAction, gameSchema) {
+        // 1. Remove reasoning blocks and Markdown
+        let cleanText = stripReasoningTags(responseText).replace(/```json/gi, "").replace(/```/g, "").trim();
+
+        // 2. If Action, extract JSON
+        if (isAction) {
+            const extracted = extractJson(cleanText, gameSchema);
+            if (extracted) {
+                if (extracted.count > 1) {
+                    console.log("%c[PAX AI] Picked JSON value " + (extracted.index + 1) + " of " + extracted.count + " in the response.", "color: cyan");
+                }
+                if (extracted.repaired) {
+                    console.log("%c[PAX AI] Repaired JSON syntax (quotes, commas, keys or comments).", "color: orange");
+                }
+                cleanText = extracted.text;
+            } else {
+                const firstBrace = cleanText.indexOf('{');
+                const lastBrace = cleanText.lastIndexOf('}');
+                if (firstBrace !== -1 && lastBrace !== -1) {
+                    cleanText = cleanText.substring(firstBrace, lastBrace + 1);
                 } else {
-                    responseText = await withRetry(async function () {
-                        var chatBaseUrl, modelId, authKey, extraHeaders = {};
-                        switch (settings.provider) {
-                            case 'openrouter':
-                                chatBaseUrl = PROVIDER_URLS.openrouter;
-                                modelId = settings.openRouterModel;
-                                authKey = settings.apiKey;
-                                extraHeaders["HTTP-Referer"] = window.location.href;
-                                extraHeaders["X-Title"] = "Pax Historia Hook";
-                                break;
-                            case 'openai':
-                                chatBaseUrl = PROVIDER_URLS.openai;
-                                modelId = settings.openaiModel;
-                                authKey = settings.apiKey;
-                                break;
-                            case 'groq':
-                                chatBaseUrl = PROVIDER_URLS.groq;
-                                modelId = settings.groqModel;
-                                authKey = settings.apiKey;
-                                break;
-                            case 'ollama':
-                                chatBaseUrl = getApiBase(settings.ollamaBaseUrl || DEFAULTS.ollamaBaseUrl);
-                                modelId = settings.ollamaModel || DEFAULTS.ollamaModel;
-                                authKey = null;
-                                break;
-                            case 'lmstudio':
-                                chatBaseUrl = getApiBase(settings.lmStudioBaseUrl || DEFAULTS.lmStudioBaseUrl);
-                                modelId = settings.lmStudioModel || DEFAULTS.lmStudioModel;
-                                authKey = null;
-                                break;
-                            case 'together':
-                                chatBaseUrl = PROVIDER_URLS.together;
-                                modelId = settings.togetherModel;
-                                authKey = settings.apiKey;
-                                break;
-                            case 'fireworks':
-                                chatBaseUrl = PROVIDER_URLS.fireworks;
-                                modelId = settings.fireworksModel;
-                                authKey = settings.apiKey;
-                                break;
-                            case 'mistral':
-                                chatBaseUrl = PROVIDER_URLS.mistral;
-                                modelId = settings.mistralModel;
-                                authKey = settings.apiKey;
-                                break;
-                            case 'copilot':
-                                chatBaseUrl = getApiBase(settings.copilotBaseUrl || DEFAULTS.copilotBaseUrl);
-                                modelId = settings.copilotModel || DEFAULTS.copilotModel;
-                                authKey = null;
-                                break;
-                            case 'generic':
-                                chatBaseUrl = getApiBase(settings.genericBaseUrl || DEFAULTS.genericBaseUrl);
-                                modelId = settings.genericModel || DEFAULTS.genericModel;
-                                authKey = (settings.genericApiKey || "").trim() || null;
-                                break;
-                            default:
-                                throw new Error("Unknown provider: " + settings.provider);
-                        }
-
-                        var payload = {
-                            model: modelId,
-                            messages: [{ role: "user", content: finalPrompt }]
-                        };
-                        if (isAction && gameSchema) {
-                            payload.response_format = { type: "json_schema", json_schema: gameSchema };
-                            console.log("%c[PAX AI] Using response_format for: " + (gameSchema.name || "unknown"), "color: cyan");
-                        }
-                        var headers = { "Content-Type": "application/json" };
-                        if (authKey) headers["Authorization"] = "Bearer " + authKey;
-                        Object.keys(extraHeaders).forEach(function (k) { headers[k] = extraHeaders[k]; });
-
-                        var result = await fetchApi(chatBaseUrl + "/chat/completions", {
-                            method: "POST",
-                            headers: headers,
-                            body: payload
-                        });
-                        if (!result.ok) {
-                            var errMsg = result.data?.error?.message || result.text || "HTTP " + result.status;
-                            var err = new Error(settings.provider + " API Error: " + errMsg);
-                            err.status = result.status;
-                            throw err;
-                        }
-                        return result.data?.choices?.[0]?.message?.content || "";
-                    });
+                    console.error("[PAX AI] JSON not found in response for action!");
                 }
+            }
 
-                // === CLEANUP & SURGERY ===
-                // 1. Remove Markdown
-                let cleanText = responseText.replace(/```json/gi, "").replace(/```/g, "").trim();
-
-                // 2. If Action, extract JSON
-                if (isAction) {
-                    const firstBrace = cleanText.indexOf('{');
-                    const lastBrace = cleanText.lastIndexOf('}');
+            // Unwrap schema wrapper: AI may return {name,strict,schema:{message,mapMode}}
+            // Game expects {message,mapMode} directly
+            try {
+                var parsed = JSON.parse(cleanText);
+                if (parsed && parsed.schema && typeof parsed.schema === "object") {
+                    cleanText = JSON.stringify(parsed.schema);
+                }
+                JSON.parse(cleanText);
+                console.log("%c[PAX AI] JSON parsed.", "color: lime");
+            } catch (e) {
+                console.error("[PAX AI] INVALID JSON:", cleanText);
+            }
+        }
+        return cleanText;
+    }
 
-                    if (firstBrace !== -1 && lastBrace !== -1) {
-                        cleanText = cleanText.substring(firstBrace, lastBrace + 1);
-                    } else {
-                        console.error("[PAX AI] JSON not found in response for action!");
-                    }
+    // Schema violations of cleaned action output (unparseable JSON counts as one violation at "$")
+    function checkActionOutput(cleanText, gameSchema) {
+        var parsed;
+        try {
+            parsed = JSON.parse(cleanText);
+        } catch (e) {
+            return [{ path: "$", message: "not valid JSON (" + e.message + ")" }];
+        }
+        return validateAgainstSchema(parsed, gameSchema);
+    }
 
-                    // Unwrap schema wrapper: AI may return {name,strict,schema:{message,mapMode}}
-                    // Game expects {message,mapMode} directly
-                    try {
-                        var parsed = JSON.parse(cleanText);
-                        if (parsed && parsed.schema && typeof parsed.schema === "object") {
-                            cleanText = JSON.stringify(parsed.schema);
-                        }
-                        JSON.parse(cleanText);
-                        console.log("%c[PAX AI] JSON VALID.", "color: lime");
-                    } catch (e) {
-                        console.error("[PAX AI] INVALID JSON:", cleanText);
-                    }
+    // === FORMAT RESPONSE FOR GAME ===
+    function buildGameResponseBody(cleanText, isAction) {
+        if (isAction) {
+            // FOR ACTIONS: The AI follows the jsonSchema and may wrap the
+            // response in a root key (e.g. { "advisorResponse": { "message": "...", "mapMode": {...} } }).
+            // The game expects the inner fields at the top level, so we unwrap
+            // single-key object wrappers automatically.
+            try {
+                const parsed = JSON.parse(cleanText);
+                const keys = Object.keys(parsed);
+                if (keys.length === 1 && typeof parsed[keys[0]] === 'object' && !Array.isArray(parsed[keys[0]])) {
+                    console.log(`%c[PAX AI] Unwrapped root key "${keys[0]}"`, "color: cyan");
+                    return JSON.stringify(parsed[keys[0]]);
                 }
+                return cleanText;
+            } catch {
+                return cleanText;
+            }
+        }
+        // FOR CHAT: Wrap in message object
+        // Game expects: { "message": "Hello" }
+        return JSON.stringify({ message: cleanText });
+    }
+
+    function buildErrorResponse(message) {
+        return new Response(JSON.stringify({ error: "[PAX AI] " + message }), {
+            status: 502,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
 
-                // === FORMAT RESPONSE FOR GAME ===
-                let responseBody;
+    async function handleGameRequest(url, options) {
+        // A locked vault is not "no key configured": never hand the prompt to the game's backend then
+        if (!(await ensureVaultUnlocked())) {
+            console.warn("[PAX AI] API keys are locked; request refused.");
+            return buildErrorResponse("API keys are locked. Unlock them via the Tampermonkey menu and repeat the action.");
+        }
+        const settings = loadSettings();
+        let record = null;
+        let request = null;
 
-                if (isAction) {
-                    // FOR ACTIONS: The AI follows the jsonSchema and may wrap the
-                    // response in a root key (e.g. { "advisorResponse": { "message": "...", "mapMode": {...} } }).
-                    // The game expects the inner fields at the top level, so we unwrap
-                    // single-key object wrappers automatically.
-                    try {
-                        const parsed = JSON.parse(cleanText);
-                        const keys = Object.keys(parsed);
-                        if (keys.length === 1 && typeof parsed[keys[0]] === 'object' && !Array.isArray(parsed[keys[0]])) {
-                            console.log(`%c[PAX AI] Unwrapped root key "${keys[0]}"`, "color: cyan");
-                            responseBody = JSON.stringify(parsed[keys[0]]);
-                        } else {
-                            responseBody = cleanText;
-                        }
-                    } catch {
-                        responseBody = cleanText;
-                    }
-                } else {
-                    // FOR CHAT: Wrap in message object
-                    // Game expects: { "message": "Hello" }
-                    responseBody = JSON.stringify({ message: cleanText });
+        try {
+            request = parseGameRequest(options);
+            record = startInspectorRecord(request);
+            request.trace = record;
+
+            const chain = buildProviderChain(settings, request);
+            if (!chain.some(function (entry) { return hasUsableKey(settings, entry.provider); })) {
+                if (settings.strictPrivacy) {
+                    throw new Error("No API key configured for " + chain.map(function (entry) { return entry.provider; }).join(", ") + ". Strict privacy mode does not send prompts to the Pax Historia backend.");
                 }
+                console.warn("[PAX AI] No API Key configured. Please open settings via Tampermonkey menu.");
+                finishInspectorRecord(record, "game-backend", { errors: ["No API key configured"] });
+                return originalFetch(url, options);
+            }
 
-                // We must return a Response object that the page can understand.
-                // Since we are in the sandbox, 'Response' might be the sandbox's Response.
-                // Usually this is fine, but sometimes we need to construct it in the page context.
-                // For now, standard Response usually works across the boundary in modern TM.
-                return new Response(responseBody, {
-                    status: 200,
-                    headers: { "Content-Type": "application/json" }
-                });
+            const route = resolveRoute(settings, request);
+            console.log(`%c[PAX AI] TYPE: ${request.isAction ? "ACTION (RAW JSON)" : "CHAT (WRAPPER)"} | Provider: ${route.entry.provider}`, "background: blue; color: white; padding: 5px; font-weight: bold;");
+            if (route.rule) {
+                console.log("%c[PAX AI] Routed by rule: " + formatRoutingRule(route.rule), "color: cyan");
+            }
 
-            } catch (e) {
-                console.error("[PAX AI] Critical Failure:", e);
-                // Fallback to original fetch if our hook fails? 
-                // Usually better to let the user know, but for game stability maybe fallback.
-                // However, if we don't have a key, we already returned. If we have a key and it failed, 
-                // the original game backend might not be what the user wants. 
-                // But let's return originalFetch to be safe so the game doesn't just hang.
+            // Native structured output for ALL action types (prompt-based schema injection
+            // causes AI to dump schema text and ignore player's request)
+            const answer = settings.compareEnabled ? await runComparison(settings, request) : await runProviderChain(settings, request);
+            const responseBody = answer.body;
+            finishInspectorRecord(record, "ok", {
+                provider: answer.provider,
+                model: answer.model,
+                rawResponse: answer.text,
+                thinking: answer.thinking || "",
+                cleanedBody: responseBody,
+                repairs: answer.repairs,
+                cached: !!answer.cached,
+                comparison: answer.comparison || null
+            });
+
+            // We must return a Response object that the page can understand.
+            // Since we are in the sandbox, 'Response' might be the sandbox's Response.
+            // Usually this is fine, but sometimes we need to construct it in the page context.
+            // For now, standard Response usually works across the boundary in modern TM.
+            return new Response(responseBody, {
+                status: 200,
+                headers: { "Content-Type": "application/json" }
+            });
+
+        } catch (e) {
+            // The game cancelled the request: behave like fetch and reject with the abort
+            if (isAbortError(e) && options && options.signal && options.signal.aborted) {
+                console.log("[PAX AI] Request aborted by the game.");
+                finishInspectorRecord(record, "aborted");
+                throw e;
+            }
+            scrubError(e);
+            console.error("[PAX AI] Critical Failure:", e);
+            if (record && record.errors.length === 0) record.errors.push(e.message || String(e));
+            // The game's own backend is what this script replaces, so only hand the
+            // prompt over to it when the user explicitly opted in (and not in strict mode).
+            const useGameBackend = settings.fallbackToGame && !settings.strictPrivacy && !e.noGameFallback;
+            finishInspectorRecord(record, useGameBackend ? "game-backend" : "error");
+            if (useGameBackend) {
+                console.warn("[PAX AI] Falling back to the Pax Historia backend (enabled in settings).");
                 return originalFetch(url, options);
             }
+            if (settings.strictPrivacy) {
+                showErrorNotice({ title: "AI request failed", message: e.message || String(e), settings: settings, request: request });
+            }
+            return buildErrorResponse(e.message || String(e));
+        }
+    }
+
+    unsafeWindow.fetch = async function (url, options) {
+        if (url && url.toString().includes('/api/simple-chat')) {
+            return handleGameRequest(url, options);
         }
         return originalFetch(url, options);
     };
-})();
\ No newline at end of file
+})();